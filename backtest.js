@@ -0,0 +1,463 @@
+const fs = require("fs");
+const path = require("path");
+const chalk = require("chalk");
+const { loadConfig } = require("./config");
+const { settleBackBet } = require("./strategy");
+const { createPositionBook } = require("./positions");
+const { snapPrice, roundStake } = require("./prices");
+const { loadStrategies, runStrategies } = require("./strategyRegistry");
+
+// Default backtest parameters come from the bot's configuration
+const { config } = loadConfig({ argv: [] });
+const defaultOptions = {
+  dir: "games",
+  balance: config.simulationBalance,
+  betPercentage: config.betPercentage,
+  staking: config.staking,
+  positions: config.positions,
+  orders: config.orders,
+  strategies: config.strategies,
+  maxGameDifference: config.maxGameDifference,
+  minUnderdogOdds: config.minUnderdogOdds,
+  firstSetTiebreak: config.firstSetTiebreak,
+  requireBreakPointInLastGame: config.requireBreakPointInLastGame,
+  ratings: config.ratings,
+  testBetOdds: config.testBetOdds,
+  testBetOddsTolerance: config.testBetOddsTolerance,
+  commissionRate: config.commissionRate,
+  json: false,
+};
+
+// Parse "--name value" and "--name=value" command-line options; a section
+// option is set with a dotted name ("--staking.plan kelly")
+function parseArgs(argv) {
+  const options = { ...defaultOptions };
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--([^=]+)(?:=(.*))?$/);
+    if (!match) throw new Error(`Unexpected argument: ${argv[i]}`);
+    const [section, field] = match[1]
+      .replace(/-([a-z])/g, (_, c) => c.toUpperCase())
+      .split(".");
+    const defaults = field ? defaultOptions[section] : defaultOptions;
+    const key = field || section;
+    if (!defaults || typeof defaults !== "object" || !(key in defaults))
+      throw new Error(`Unknown option: --${match[1]}`);
+    const target = field
+      ? (options[section] = { ...options[section] })
+      : options;
+    if (typeof defaults[key] === "boolean") {
+      target[key] = match[2] === undefined ? true : match[2] === "true";
+      continue;
+    }
+    const value = match[2] !== undefined ? match[2] : argv[++i];
+    if (value === undefined) throw new Error(`Missing value for --${match[1]}`);
+    if (Array.isArray(defaults[key])) {
+      target[key] = value
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean);
+    } else if (typeof defaults[key] === "number") {
+      target[key] = Number(value);
+      if (isNaN(target[key]))
+        throw new Error(`Option --${match[1]} must be a number`);
+    } else {
+      target[key] = value;
+    }
+  }
+  return options;
+}
+
+// Read every .ndjson file in the directory into one timestamp-ordered list
+function loadEvents(dir) {
+  const events = [];
+  let skippedLines = 0;
+  // Files recorded before market_tracked and set_completed were logged
+  const skippedFiles = [];
+  const files = fs.readdirSync(dir).filter((f) => f.endsWith(".ndjson"));
+  files.forEach((file) => {
+    const eventId = path.basename(file, ".ndjson");
+    const lines = fs.readFileSync(path.join(dir, file), "utf8").split("\n");
+    const fileEvents = [];
+    lines.forEach((line) => {
+      if (!line.trim()) return;
+      try {
+        const entry = JSON.parse(line);
+        if (!entry.type || !entry.timestamp)
+          throw new Error("incomplete entry");
+        fileEvents.push({ ...entry, eventId });
+      } catch (error) {
+        skippedLines++;
+      }
+    });
+    if (
+      fileEvents.some((e) =>
+        ["market_tracked", "set_completed"].includes(e.type)
+      )
+    )
+      events.push(...fileEvents);
+    else if (fileEvents.length > 0) skippedFiles.push(file);
+  });
+  // Array.prototype.sort is stable, so same-timestamp lines keep file order
+  events.sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+  return { events, files: files.length, skippedLines, skippedFiles };
+}
+
+// Replay recorded events through the configured strategies
+function runBacktest(events, options = defaultOptions) {
+  const rules = { commissionRate: options.commissionRate };
+  const strategies = loadStrategies(options.strategies, options);
+  const markets = {};
+  const marketByEvent = {};
+  const results = [];
+  let balance = options.balance;
+  const positions = createPositionBook(
+    options.positions,
+    options.staking,
+    options
+  );
+  let busted = false;
+  let setsCompleted = 0;
+  let conditionsMet = 0;
+  let betsPlaced = 0;
+  let untrackedSignals = 0;
+  let peakStake = 0;
+  let peakExposure = 0;
+  let peakBalance = balance;
+  let maxDrawdown = 0;
+  let maxDrawdownPercent = 0;
+  let losingStreak = 0;
+  let longestLosingStreak = 0;
+  const equityCurve = [
+    { timestamp: events[0]?.timestamp || null, balance, marketId: null },
+  ];
+
+  const marketFor = (event) => {
+    const marketId =
+      event.marketId || marketByEvent[event.eventId] || event.eventId;
+    if (!markets[marketId]) {
+      markets[marketId] = {
+        marketId,
+        eventId: event.eventId,
+        currentOdds: { pA: null, pB: null },
+        hasFirstSetEnded: false,
+      };
+    }
+    marketByEvent[event.eventId] = marketId;
+    return markets[marketId];
+  };
+
+  // Pass an event to the strategies; a failing strategy fails the backtest
+  const collectIntents = (event, game) =>
+    runStrategies(
+      strategies,
+      { ...event, marketId: game.marketId, game },
+      (strategy, error) => {
+        throw new Error(
+          `Strategy ${strategy.name} failed on ${event.type}: ${error.message}`
+        );
+      }
+    );
+
+  // Open a bet for the first intent, within the bot's open position limit.
+  // Test bets aren't the strategy's conditions, so they aren't counted.
+  const placeIntent = (intents, event) => {
+    if (intents.some((intent) => !intent.isTestBet)) conditionsMet++;
+    const intent = intents.find(
+      (intent) => intent.side === "BACK" && markets[intent.marketId]
+    );
+    if (!intent || !positions.canOpen() || busted) return;
+    const game = markets[intent.marketId];
+    if (game.bet) return;
+    // The same ladder and cent rounding the bot applies to its orders
+    const price = snapPrice(intent.price, options.orders.priceRounding);
+    const planned = positions.stake({
+      balance,
+      price,
+      probability: intent.probability,
+    });
+    const stakeInfo = intent.size
+      ? { sequence: planned.sequence, plan: "strategy", stake: intent.size }
+      : planned;
+    const size = roundStake(stakeInfo.stake);
+    if (!(size > 0)) return;
+    if (size > balance) {
+      busted = true;
+      results.push({
+        marketId: game.marketId,
+        players: `${game.playerA} v ${game.playerB}`,
+        firstSet: game.firstSet,
+        strategy: intent.strategy,
+        price,
+        size,
+        staking: stakeInfo,
+        outcome: "bust",
+        pnl: 0,
+        balance,
+        timestamp: event.timestamp,
+      });
+      return;
+    }
+    balance -= size;
+    betsPlaced++;
+    peakStake = Math.max(peakStake, size);
+    positions.open(game.marketId, size, stakeInfo.sequence);
+    peakExposure = Math.max(peakExposure, positions.exposure());
+    game.bet = {
+      selectionId: intent.selectionId,
+      price,
+      size,
+      staking: stakeInfo,
+      strategy: intent.strategy,
+    };
+    collectIntents(
+      {
+        type: "bet_placed",
+        strategy: intent.strategy,
+        selectionId: intent.selectionId,
+        price,
+        size,
+        timestamp: event.timestamp,
+      },
+      game
+    );
+  };
+
+  // Settle a market's bet against the recorded winner
+  const settle = (game, event) => {
+    game.settled = true;
+    let outcome;
+    let pnl = 0;
+    if (
+      event.winnerSelectionId === undefined ||
+      event.winnerSelectionId === null
+    ) {
+      // No recorded winner: treat as void and hand the stake back
+      outcome = "void";
+      balance += game.bet.size;
+      positions.close(game.marketId);
+    } else {
+      const isWin = event.winnerSelectionId === game.bet.selectionId;
+      outcome = isWin ? "win" : "lose";
+      pnl = settleBackBet(game.bet, isWin, rules);
+      if (isWin) balance += pnl + game.bet.size;
+      positions.close(game.marketId, { isWin, pnl });
+      losingStreak = isWin ? 0 : losingStreak + 1;
+      longestLosingStreak = Math.max(longestLosingStreak, losingStreak);
+    }
+    peakBalance = Math.max(peakBalance, balance);
+    const drawdown = peakBalance - balance;
+    if (drawdown > maxDrawdown) {
+      maxDrawdown = drawdown;
+      maxDrawdownPercent = (drawdown / peakBalance) * 100;
+    }
+    equityCurve.push({
+      timestamp: event.timestamp,
+      balance,
+      marketId: game.marketId,
+    });
+    results.push({
+      marketId: game.marketId,
+      players: `${game.playerA} v ${game.playerB}`,
+      firstSet: game.firstSet,
+      strategy: game.bet.strategy,
+      price: game.bet.price,
+      size: game.bet.size,
+      staking: game.bet.staking,
+      outcome,
+      pnl,
+      balance,
+      timestamp: event.timestamp,
+    });
+    collectIntents(
+      { type: "bet_closed", timestamp: event.timestamp, outcome },
+      game
+    );
+  };
+
+  events.forEach((event) => {
+    if (event.type === "market_tracked") {
+      Object.assign(marketFor(event), {
+        playerA: event.playerA,
+        playerB: event.playerB,
+        selectionIdA: event.selectionIdA,
+        selectionIdB: event.selectionIdB,
+        ratings: event.ratings,
+      });
+    } else if (event.type === "odds_update") {
+      const game = marketFor(event);
+      if (event.pA_odds) game.currentOdds.pA = event.pA_odds;
+      if (event.pB_odds) game.currentOdds.pB = event.pB_odds;
+      if (game.selectionIdA && game.selectionIdB)
+        placeIntent(collectIntents(event, game), event);
+    } else if (event.type === "score_change") {
+      const game = marketFor(event);
+      if (game.selectionIdA && game.selectionIdB)
+        placeIntent(collectIntents(event, game), event);
+    } else if (event.type === "set_completed" && event.set === 1) {
+      const game = marketFor(event);
+      if (game.hasFirstSetEnded) return;
+      game.hasFirstSetEnded = true;
+      setsCompleted++;
+      game.firstSet = `${event.homeScore || 0}-${event.awayScore || 0}`;
+      if (!game.selectionIdA || !game.selectionIdB) {
+        untrackedSignals++;
+        return;
+      }
+      // Logs written before the score model lack the tiebreak flag; a 7-6
+      // set was still a tiebreak
+      const normalized = {
+        ...event,
+        tiebreak:
+          event.tiebreak ??
+          Math.min(event.homeScore || 0, event.awayScore || 0) === 6,
+      };
+      placeIntent(collectIntents(normalized, game), event);
+    } else if (event.type === "market_closed") {
+      const game = marketFor(event);
+      if (game.bet && !game.settled) settle(game, event);
+      collectIntents(event, game);
+    }
+  });
+
+  const settled = results.filter(
+    (r) => r.outcome === "win" || r.outcome === "lose"
+  );
+  const staked = settled.reduce((sum, r) => sum + r.size, 0);
+  const totalPnl = settled.reduce((sum, r) => sum + r.pnl, 0);
+  return {
+    options,
+    results,
+    equityCurve,
+    summary: {
+      marketsSeen: Object.keys(markets).length,
+      setsCompleted,
+      conditionsMet,
+      untrackedSignals,
+      betsPlaced,
+      wins: settled.filter((r) => r.outcome === "win").length,
+      losses: settled.filter((r) => r.outcome === "lose").length,
+      voids: results.filter((r) => r.outcome === "void").length,
+      unsettled: positions.openCount(),
+      busted,
+      startBalance: options.balance,
+      finalBalance: balance,
+      totalPnl,
+      roi: staked > 0 ? (totalPnl / staked) * 100 : 0,
+      maxDrawdown,
+      maxDrawdownPercent,
+      longestLosingStreak,
+      peakStake,
+      peakExposure,
+      finalStaking: {
+        plan: positions.plan,
+        sequences: positions.sequences.map((s) => s.staking.state()),
+      },
+    },
+  };
+}
+
+// Name the files that had nothing to replay
+function printSkippedFiles(skippedFiles = []) {
+  if (skippedFiles.length === 0) return;
+  const names = skippedFiles.join(", ");
+  console.log(
+    chalk.yellow(
+      `Skipped ${skippedFiles.length} files without market_tracked or set_completed entries: ${names}`
+    )
+  );
+}
+
+// Print the per-market results, equity curve and summary to the terminal
+function printReport(report, loadInfo) {
+  const { results, equityCurve, summary } = report;
+  console.log(
+    chalk.cyan(
+      `Replayed ${loadInfo.events} events from ${loadInfo.files} files` +
+        (loadInfo.skippedLines
+          ? ` (${loadInfo.skippedLines} unreadable lines skipped)`
+          : "")
+    )
+  );
+  printSkippedFiles(loadInfo.skippedFiles);
+  console.log(chalk.cyan("Per-market results:"));
+  if (results.length === 0) console.log(chalk.yellow("  No bets placed"));
+  results.forEach((r) => {
+    const color =
+      r.outcome === "win" ? "green" : r.outcome === "lose" ? "red" : "yellow";
+    console.log(
+      chalk[color](
+        `  ${r.timestamp} ${r.marketId} ${r.players} set 1 ${r.firstSet}, ` +
+          `${r.size.toFixed(2)} @ ${r.price} (${r.staking.plan}) ${r.outcome}, ` +
+          `PNL ${r.pnl.toFixed(2)}, balance ${r.balance.toFixed(2)}`
+      )
+    );
+  });
+  console.log(chalk.cyan("Equity curve:"));
+  equityCurve.forEach((point) => {
+    console.log(chalk.gray(`  ${point.timestamp} ${point.balance.toFixed(2)}`));
+  });
+  console.log(chalk.cyan("Summary:"));
+  console.log(
+    chalk.cyan(
+      `  Markets: ${summary.marketsSeen}, sets completed: ${summary.setsCompleted}, ` +
+        `conditions met: ${summary.conditionsMet}, bets placed: ${summary.betsPlaced}`
+    )
+  );
+  if (summary.untrackedSignals > 0)
+    console.log(
+      chalk.yellow(
+        `  ${summary.untrackedSignals} first-set finishes had no market_tracked entry and were skipped`
+      )
+    );
+  console.log(
+    chalk.cyan(
+      `  Wins: ${summary.wins}, losses: ${summary.losses}, voids: ${summary.voids}, unsettled: ${summary.unsettled}`
+    )
+  );
+  console.log(
+    chalk[summary.totalPnl >= 0 ? "green" : "red"](
+      `  Balance ${summary.startBalance.toFixed(2)} -> ${summary.finalBalance.toFixed(2)}, ` +
+        `PNL ${summary.totalPnl.toFixed(2)}, ROI ${summary.roi.toFixed(2)}%`
+    )
+  );
+  console.log(
+    chalk.cyan(
+      `  Max drawdown: ${summary.maxDrawdown.toFixed(2)} (${summary.maxDrawdownPercent.toFixed(2)}%), ` +
+        `longest losing streak: ${summary.longestLosingStreak}, peak stake: ${summary.peakStake.toFixed(2)}, ` +
+        `peak exposure: ${summary.peakExposure.toFixed(2)}`
+    )
+  );
+  if (summary.busted)
+    console.log(chalk.red("  Bankroll busted: the stake exceeded the balance"));
+}
+
+if (require.main === module) {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    const { events, files, skippedLines, skippedFiles } = loadEvents(
+      options.dir
+    );
+    const report = runBacktest(events, options);
+    if (options.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      printReport(report, {
+        events: events.length,
+        files,
+        skippedLines,
+        skippedFiles,
+      });
+    }
+  } catch (error) {
+    console.error(chalk.red(`Backtest failed: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  defaultOptions,
+  parseArgs,
+  loadEvents,
+  printSkippedFiles,
+  runBacktest,
+};
@@ -1,16 +1,90 @@
 const tls = require("tls");
+const net = require("net");
 const chalk = require("chalk");
 const fs = require("fs");
 const path = require("path");
+const util = require("util");
 const dotenv = require("dotenv");
+const { maxPrice, snapPrice, roundStake } = require("./prices");
+const { createPositionBook } = require("./positions");
+const { createOrderManager } = require("./orderManager");
+const { createFillSimulator } = require("./fillSimulator");
+const {
+  positionProfit,
+  greenUpStake,
+  settlePosition,
+  scoreEventFor,
+  hedgeTrigger,
+} = require("./hedging");
+const {
+  createRatings,
+  loadRatings,
+  saveRatings,
+  expectedValue,
+} = require("./ratings");
+const {
+  createMarketCache,
+  applyMarketChangeMessage,
+  subscriptionClocks,
+  removeMarket,
+  resetClocks,
+  bestBackPrice,
+  bestLayPrice,
+  availableToBack,
+} = require("./marketCache");
+const {
+  createOrderCache,
+  applyOrderChangeMessage,
+  removeOrderMarket,
+  matchedPosition,
+} = require("./orderCache");
+const { createRiskManager } = require("./risk");
+const { saveState, loadState } = require("./state");
+const { createSessionManager, isSessionError } = require("./session");
+const { catalogueFilter, classifyMatch, skipReason } = require("./discovery");
+const {
+  createMatchState,
+  updateMatchState,
+  firstSetConditions,
+} = require("./tennisScore");
+const {
+  loadStrategies,
+  runStrategies,
+  strategyStates,
+  restoreStrategyStates,
+} = require("./strategyRegistry");
+const { loadConfig, redact } = require("./config");
+const { createNotifier } = require("./notifier");
+const { createDashboard } = require("./dashboard");
+const { createLogger, createAuditLog } = require("./logger");
+const {
+  createStreamRecorder,
+  readRecords,
+  catalogueEntry,
+} = require("./streamRecording");
 dotenv.config();
 
+// Configuration: config.json, BOT_* environment variables and --flags
+let loadedConfig;
+let logger;
+let strategies;
+let notifier;
+try {
+  loadedConfig = loadConfig();
+} catch (error) {
+  console.error(chalk.red(error.message));
+  process.exit(1);
+}
+// Replaying recorded stream data needs no connection to Betfair
+const replaying = loadedConfig.config.replay.files.length > 0;
+
 // Sanity check for environment variables
 if (
-  !process.env.LOGIN_APP_KEY ||
-  !process.env.STREAM_APP_KEY ||
-  !process.env.betfairUsername ||
-  !process.env.password
+  !replaying &&
+  (!process.env.LOGIN_APP_KEY ||
+    !process.env.STREAM_APP_KEY ||
+    !process.env.betfairUsername ||
+    !process.env.password)
 ) {
   console.error(
     chalk.red(
@@ -25,279 +99,994 @@ if (
   process.exit(1);
 }
 
-// Setup file logging
-const logFile = "bot.log";
-const logStream = fs.createWriteStream(logFile, { flags: "a" });
+try {
+  logger = createLogger(loadedConfig.config.logging);
+  // Test betting replaces the configured strategies with the testBet one
+  strategies = loadStrategies(
+    loadedConfig.config.testBetEnabled
+      ? ["testBet"]
+      : loadedConfig.config.strategies,
+    loadedConfig.config
+  );
+  // A replay sends no notifications
+  notifier = createNotifier(
+    replaying
+      ? { ...loadedConfig.config.notifications, events: [] }
+      : loadedConfig.config.notifications,
+    { log: (text) => logger.category("notify").error(text) }
+  );
+} catch (error) {
+  console.error(chalk.red(error.message));
+  process.exit(1);
+}
+const { config } = loadedConfig;
 
-// Override console.log to include file logging
-const originalConsoleLog = console.log;
-console.log = (...args) => {
-  const timestamp = new Date().toISOString();
-  const message = args
-    .map((arg) =>
-      typeof arg === "object" ? JSON.stringify(arg, null, 2) : arg
-    )
-    .join(" ");
-  originalConsoleLog(...args);
-  logStream.write(`[${timestamp}] LOG: ${message}\n`);
+// Log categories; anything else printing to the console, strategy modules
+// included, is logged under "console"
+const log = {
+  bot: logger.category("bot"),
+  session: logger.category("session"),
+  markets: logger.category("markets"),
+  stream: logger.category("stream"),
+  orders: logger.category("orders"),
+  strategy: logger.category("strategy"),
+  risk: logger.category("risk"),
+  dashboard: logger.category("dashboard"),
 };
+const consoleLog = logger.category("console");
+console.log = (...args) => consoleLog.info(util.format(...args));
+console.warn = (...args) => consoleLog.warn(util.format(...args));
+console.error = (...args) => consoleLog.error(util.format(...args));
+const auditLog = createAuditLog(config.logging.auditFile, {
+  onError: (error) =>
+    log.orders.error(`Failed to write the audit log: ${error.message}`),
+});
+const recorder =
+  config.recording.enabled && !replaying
+    ? createStreamRecorder(config.recording, {
+        onError: (error) =>
+          log.stream.error(`Failed to record the stream: ${error.message}`),
+      })
+    : null;
+// Finish the stream recording before stopping on a signal
+if (recorder)
+  ["SIGINT", "SIGTERM"].forEach((signal) =>
+    process.once(signal, () =>
+      recorder.close().then(() => process.kill(process.pid, signal))
+    )
+  );
 
-// Configuration variables
-const fixedBalance = 100;
-const simulationBalance = 100;
-const betPercentage = 10;
-let multiplier = 1;
-const useImpossibleOdds = true;
-const enableSimulation = true;
+log.bot.info(
+  `Effective configuration (file: ${
+    loadedConfig.file || "none"
+  }): ${JSON.stringify(redact(config), null, 2)}`
+);
+log.bot.info(`Strategies: ${strategies.map((s) => s.name).join(", ")}`);
+if (notifier.sinks.length > 0)
+  log.bot.info(`Notifications to: ${notifier.sinks.join(", ")}`);
+const {
+  fixedBalance,
+  simulationBalance,
+  betPercentage,
+  useImpossibleOdds,
+  enableSimulation,
+  loginEndpoint,
+  apiEndpoint,
+  streamHost,
+  streamPort,
+  streamTls,
+  streamRejectUnauthorized,
+  maxMarketsPerSubscription,
+  testBetEnabled,
+  testBetOdds,
+  testBetOddsTolerance,
+  stateFile,
+} = config;
 const loginAppKey = process.env.LOGIN_APP_KEY;
 const streamAppKey = process.env.STREAM_APP_KEY;
 const username = process.env.betfairUsername;
 const password = process.env.password;
-const loginEndpoint = "https://identitysso.betfair.ro/api/login";
-const apiEndpoint = "https://api.betfair.com/exchange/betting/rest/v1.0/";
-const streamHost = "stream-api.betfair.com";
-const streamPort = 443;
-const maxMarketsPerSubscription = 10;
-// New test betting variables
-const testBetEnabled = true;
-const testBetOdds = 1.5;
-const testBetOddsTolerance = 1;
+
+// The bot's time: the wall clock, or while replaying the time of the
+// replayed stream
+const clock = { now: () => Date.now() };
+// Where the markets' ndjson files go
+const gamesDir = replaying ? config.replay.gamesDir : "games";
 
 // Global state
 let sessionToken;
 const gameHistoricalData = {};
-let hasOpenBet = false;
 const orderIds = {};
 let simBalance = simulationBalance;
+// Live stakes are sized from fixedBalance plus the settled PNL since
+let liveBalance = fixedBalance;
 let ws;
 let isSubscribed = false;
 let isAuthenticated = false;
-let startTime = new Date();
+let startTime = new Date(clock.now());
 let hasPlacedBet = false;
 let totalMarketsTracked = 0;
 let totalSetsCompleted = 0;
 let totalConditionsMet = 0;
 let totalBetsPlaced = 0;
-let testBetPlaced = false;
 let buffer = "";
+let reconnectTimer = null;
+// Failed connection attempts since the last authentication, for the backoff
+let reconnectAttempts = 0;
+let lastHeartbeatSentAt = 0;
+let subscribedMarketKey = "";
+// Set from the dashboard: no new bets while paused
+let bettingPaused = false;
+const streamStats = {
+  connected: false,
+  connectedAt: null,
+  lastMessageAt: null,
+  // Local receive time minus the publish time (pt) of the last message
+  latencyMs: null,
+  reconnects: 0,
+  // Since when no authenticated stream connection exists, and whether that
+  // was notified
+  downSince: new Date(clock.now()).toISOString(),
+  downNotified: false,
+};
+// Settled bets for the dashboard, most recent last
+const pnlHistory = [];
+const maxPnlHistory = 1000;
+let dashboard = null;
+const skippedMarkets = new Set();
+// Markets whose last change arrived conflated
+const conflatedMarkets = new Set();
+// Markets with a live hedge order being placed
+const hedgesInFlight = new Set();
+const marketCache = createMarketCache();
+const orderCache = createOrderCache();
+const riskManager = createRiskManager(config.risk, () => new Date(clock.now()));
+const orderManager = createOrderManager(config.orders, () => clock.now());
+const fillSimulator = createFillSimulator(config.simulation, {
+  unmatchedTimeoutMs: config.orders.unmatchedTimeoutMs,
+  now: () => clock.now(),
+});
+const positionBook = createPositionBook(config.positions, config.staking, {
+  betPercentage,
+  commissionRate: config.commissionRate,
+});
+const ratings = createRatings(config.ratings);
 
 // Append market data to .ndjson file
 function appendToNdjson(eventId, entry) {
-  const filePath = path.join("games", `${eventId}.ndjson`);
+  const filePath = path.join(gamesDir, `${eventId}.ndjson`);
   const line = JSON.stringify(entry) + "\n";
-  fs.appendFile(filePath, line, (err) => {
-    if (err)
-      console.error(
-        chalk.red(`Failed to write to ${filePath}: ${err.message}`)
-      );
+  if (replaying) {
+    // A replay at full speed would queue writes faster than they complete
+    // and out of order
+    try {
+      fs.appendFileSync(filePath, line);
+    } catch (err) {
+      log.bot.error(`Failed to write to ${filePath}: ${err.message}`);
+    }
+  } else {
+    fs.appendFile(filePath, line, (err) => {
+      if (err) log.bot.error(`Failed to write to ${filePath}: ${err.message}`);
+    });
+  }
+  if (entry.type === "bet_outcome") {
+    pnlHistory.push({
+      timestamp: entry.timestamp,
+      marketId: entry.marketId,
+      outcome: entry.outcome,
+      pnl: entry.pnl,
+      balance: entry.balance ?? currentBalance(),
+    });
+    pnlHistory.splice(0, pnlHistory.length - maxPnlHistory);
+  }
+  dashboard?.publish({ eventId, ...entry });
+  notifyEntry(entry);
+}
+
+// Turn the ndjson entries worth an alert into notifications
+function notifyEntry(entry) {
+  const game = gameHistoricalData[entry.marketId];
+  const players = game
+    ? `${game.playerA} v ${game.playerB}`
+    : `market ${entry.marketId}`;
+  if (entry.type === "bet_placed") {
+    const runner =
+      entry.selectionId === game?.selectionIdA ? game.playerA : game?.playerB;
+    notifier.notify("bet_placed", {
+      title: `${entry.isTestBet ? "Test bet" : "Bet"} placed (${entry.mode})`,
+      message: `${players}: ${entry.size.toFixed(2)} on ${runner} at ${
+        entry.price
+      } (${entry.strategy})`,
+      key: entry.marketId,
+      data: entry,
+    });
+  } else if (entry.type === "bet_outcome") {
+    notifier.notify("bet_outcome", {
+      title: `Bet ${entry.outcome} (${entry.mode})`,
+      message: `${players}: PNL ${entry.pnl.toFixed(2)}, balance ${(
+        entry.balance ?? currentBalance()
+      ).toFixed(2)}`,
+      key: entry.marketId,
+      data: entry,
+    });
+  } else if (entry.type === "risk_action") {
+    notifier.notify("risk_action", {
+      title: `Risk limit: ${entry.action}`,
+      message: `${entry.reason} after ${players}`,
+      key: `${entry.action}:${entry.reason}`,
+      data: entry,
+    });
+  }
+}
+
+function notifyLoginFailed(error) {
+  notifier.notify("login_failed", {
+    title: "Betfair login failed",
+    message: error.message,
+    key: "login",
+  });
+}
+
+// Alert once the stream has been down for notifications.streamDownMs, and
+// again when it is back
+function checkStreamHealth() {
+  const { streamDownMs } = config.notifications;
+  if (!streamStats.downSince) {
+    if (streamStats.downNotified) {
+      streamStats.downNotified = false;
+      notifier.notify("stream_restored", {
+        title: "Stream restored",
+        message: `Connected to ${streamHost} again`,
+      });
+    }
+    return;
+  }
+  if (
+    !streamDownMs ||
+    streamStats.downNotified ||
+    clock.now() - Date.parse(streamStats.downSince) < streamDownMs
+  )
+    return;
+  streamStats.downNotified = true;
+  notifier.notify("stream_down", {
+    title: "Stream down",
+    message: `No stream connection to ${streamHost} since ${streamStats.downSince}`,
+    key: streamStats.downSince,
   });
 }
 
+function currentBalance() {
+  return enableSimulation ? simBalance : liveBalance;
+}
+
 // Setup historical data collection directory
 function setupHistoricalDataCollection() {
-  fs.mkdir("games", { recursive: true }, (err) => {
-    if (err)
-      console.error(
-        chalk.red(`Failed to create games directory: ${err.message}`)
-      );
-    else
-      console.log(
-        chalk.green('Historical data folder "games" created or already exists')
-      );
-  });
+  try {
+    fs.mkdirSync(gamesDir, { recursive: true });
+    log.bot.success(
+      `Historical data folder "${gamesDir}" created or already exists`
+    );
+  } catch (err) {
+    log.bot.error(`Failed to create ${gamesDir} directory: ${err.message}`);
+  }
 }
 
+// Session manager: login, scheduled keep-alive and re-login on lost sessions
+const session = createSessionManager(
+  config,
+  { appKey: loginAppKey, username, password },
+  {
+    log: log.session,
+    onLoginFailed: (error) => notifyLoginFailed(error),
+    onRefresh: (token) => {
+      sessionToken = token;
+      if (ws) {
+        log.session.info("Re-authenticating stream with new session");
+        connectStreamAPI();
+      }
+    },
+  }
+);
+
 // Authenticate with Betfair API
 async function login() {
   try {
-    console.log(chalk.cyan(`Attempting login to ${loginEndpoint}`));
-    const response = await fetch(loginEndpoint, {
+    sessionToken = await session.login();
+    session.start();
+    return true;
+  } catch (error) {
+    log.session.error(`Login error: ${error.message}`);
+    notifyLoginFailed(error);
+    return false;
+  }
+}
+
+// Order operations whose requests and responses go to the audit log
+const auditedOperations = ["placeOrders", "replaceOrders", "cancelOrders"];
+
+// POST a Betting API operation and return the parsed response, logging in
+// again and retrying once if the session has expired
+async function bettingRequest(operation, body, isRetry = false) {
+  const audit = (result) => {
+    if (auditedOperations.includes(operation))
+      auditLog.record({ operation, request: body, retry: isRetry, ...result });
+  };
+  let response;
+  try {
+    response = await fetch(`${apiEndpoint}${operation}/`, {
       method: "POST",
       headers: {
         "X-Application": loginAppKey,
-        "Content-Type": "application/x-www-form-urlencoded",
+        "X-Authentication": sessionToken,
+        "Content-Type": "application/json",
         Accept: "application/json",
       },
-      body: new URLSearchParams({ username, password }),
+      body: JSON.stringify(body),
     });
-    if (!response.ok)
-      throw new Error(
-        `Login failed: ${response.status} ${await response.text()}`
+  } catch (error) {
+    audit({ error: error.message });
+    throw error;
+  }
+  if (!response.ok) {
+    const text = await response.text();
+    audit({ status: response.status, error: text });
+    if (!isRetry && isSessionError(text)) {
+      await session.relogin(`${operation} rejected the session`);
+      return bettingRequest(operation, body, true);
+    }
+    throw new Error(`${operation} failed: ${text}`);
+  }
+  const data = await response.json();
+  audit({ status: response.status, response: data });
+  return data;
+}
+
+// Save everything needed to resume the staking progression after a restart
+function persistState() {
+  // The state file belongs to the bot trading for real, not to a replay
+  if (replaying) return;
+  try {
+    saveState(stateFile, {
+      positions: positionBook.state(),
+      simBalance,
+      liveBalance,
+      bettingPaused,
+      pnlHistory,
+      strategies: strategyStates(strategies),
+      orderIds,
+      orders: orderManager.orders,
+      simulatedOrders: fillSimulator.orders,
+      gameHistoricalData,
+      risk: riskManager.state,
+      totals: {
+        totalMarketsTracked,
+        totalSetsCompleted,
+        totalConditionsMet,
+        totalBetsPlaced,
+      },
+    });
+  } catch (error) {
+    log.bot.error(`Failed to save state to ${stateFile}: ${error.message}`);
+  }
+}
+
+// Load the player ratings saved by previous runs or seeded from results
+function loadPlayerRatings() {
+  if (!config.ratings.enabled) return;
+  try {
+    if (loadRatings(ratings, config.ratings.file))
+      log.bot.info(
+        `Loaded ratings for ${Object.keys(ratings.players).length} players`
       );
-    const data = await response.json();
-    sessionToken = data.token;
-    console.log(chalk.green("Logged in successfully"));
-    return true;
+    else log.bot.warn(`No ratings in ${config.ratings.file} yet`);
   } catch (error) {
-    console.error(chalk.red(`Login error: ${error.message}`));
-    return false;
+    log.bot.error(
+      `Failed to read ratings from ${config.ratings.file}: ${error.message}`
+    );
+  }
+}
+
+// Rate the players of a closed market by its winner; a replay leaves the
+// ratings file alone
+function rateMatch(game, winnerSelectionId) {
+  // A market still settling can be reported closed again
+  if (!game.ratings || game.rated) return;
+  game.rated = true;
+  const [winner, loser] =
+    winnerSelectionId === game.selectionIdA
+      ? [game.playerA, game.playerB]
+      : [game.playerB, game.playerA];
+  const change = ratings.recordResult(winner, loser);
+  log.markets.debug(
+    `Ratings: ${winner} +${change.toFixed(1)}, ${loser} -${change.toFixed(1)}`
+  );
+  if (replaying) return;
+  try {
+    saveRatings(ratings, config.ratings.file);
+  } catch (error) {
+    log.bot.error(
+      `Failed to save ratings to ${config.ratings.file}: ${error.message}`
+    );
+  }
+}
+
+// Saved positions, migrating state files written before concurrent
+// positions: they hold one staking progression (staking), or only the
+// martingale multiplier, and at most one open bet
+function savedPositions(saved) {
+  if (saved.positions) return saved.positions;
+  const staking =
+    saved.staking ||
+    (saved.multiplier !== undefined
+      ? { martingale: { multiplier: saved.multiplier } }
+      : undefined);
+  const marketId = Object.keys(saved.orderIds || {})[0] ?? null;
+  log.bot.warn(
+    `Migrating ${stateFile} from the single-position format: ${JSON.stringify(
+      staking
+    )} becomes sequence 0${marketId ? `, holding market ${marketId}` : ""}`
+  );
+  return [
+    {
+      id: 0,
+      staking,
+      marketId,
+      exposure: saved.gameHistoricalData?.[marketId]?.bet?.size || 0,
+    },
+  ];
+}
+
+// Restore the state saved by a previous run, if there is one
+function restoreState() {
+  let saved;
+  try {
+    saved = loadState(stateFile);
+  } catch (error) {
+    log.bot.error(`Failed to read state from ${stateFile}: ${error.message}`);
+    return;
   }
+  if (!saved) return;
+  positionBook.restoreState(savedPositions(saved));
+  simBalance = saved.simBalance;
+  liveBalance = saved.liveBalance ?? fixedBalance;
+  bettingPaused = !!saved.bettingPaused;
+  pnlHistory.push(...(saved.pnlHistory || []));
+  restoreStrategyStates(strategies, saved.strategies);
+  Object.assign(orderIds, saved.orderIds);
+  orderManager.restoreState(saved.orders);
+  fillSimulator.restoreState(saved.simulatedOrders);
+  Object.values(saved.gameHistoricalData).forEach((game) => {
+    gameHistoricalData[game.marketId] = {
+      ...game,
+      eventOpenDate: new Date(game.eventOpenDate),
+    };
+  });
+  riskManager.restoreState(saved.risk);
+  ({
+    totalMarketsTracked,
+    totalSetsCompleted,
+    totalConditionsMet,
+    totalBetsPlaced,
+  } = saved.totals);
+  log.bot.info(
+    `Restored state saved at ${saved.savedAt}: ${
+      positionBook.plan
+    } staking ${JSON.stringify(
+      positionBook.sequences.map((sequence) => sequence.staking.state())
+    )}, balance ${(enableSimulation ? simBalance : liveBalance).toFixed(
+      2
+    )}, ${Object.keys(orderIds).length} open bets, ${
+      Object.keys(gameHistoricalData).length
+    } markets`
+  );
+}
+
+// Release a bet that is no longer open on the exchange
+function releaseBet(marketId) {
+  delete orderIds[marketId];
+  positionBook.close(marketId);
+  dispatchStrategyEvent({
+    type: "bet_closed",
+    marketId,
+    game: gameHistoricalData[marketId],
+    timestamp: new Date(clock.now()).toISOString(),
+  });
+}
+
+// Settle bets that were open when the bot stopped, using the exchange's
+// current and cleared orders for live bets
+async function reconcileOpenBets(openMarketIds) {
+  for (const [marketId, betId] of Object.entries(orderIds)) {
+    const game = gameHistoricalData[marketId];
+    const eventId = game?.eventId || marketId;
+    if (!game?.bet) {
+      releaseBet(marketId);
+      continue;
+    }
+    if (String(betId).startsWith("sim_")) {
+      if (openMarketIds.has(marketId)) continue;
+      // The result of a simulated bet is unknown once its market is gone
+      log.orders.warn(
+        `Market ${marketId} closed while stopped, simulated bet voided`
+      );
+      simBalance +=
+        game.bet.size + (fillSimulator.orders[marketId]?.sizeRemaining || 0);
+      fillSimulator.remove(marketId);
+      appendToNdjson(eventId, {
+        type: "bet_outcome",
+        mode: "simulated",
+        marketId,
+        selectionId: game.bet.selectionId,
+        outcome: "void",
+        pnl: 0,
+        resumed: true,
+        timestamp: new Date(clock.now()).toISOString(),
+      });
+      releaseBet(marketId);
+      continue;
+    }
+    try {
+      const current = await bettingRequest("listCurrentOrders", {
+        marketIds: [marketId],
+      });
+      if (current.currentOrders?.length > 0) {
+        log.orders.info(
+          `Bet ${betId} on market ${marketId} is still open (${current.currentOrders[0].status})`
+        );
+        continue;
+      }
+      if (openMarketIds.has(marketId)) {
+        // Nothing open on a market that is still running: the bet was
+        // cancelled or lapsed while stopped
+        log.orders.warn(
+          `Bet ${betId} on market ${marketId} is no longer open (cancelled or lapsed)`
+        );
+        delete game.bet;
+        releaseBet(marketId);
+        continue;
+      }
+      await settleLiveMarket(marketId, { resumed: true });
+    } catch (error) {
+      log.orders.error(`Failed to reconcile bet ${betId}: ${error.message}`);
+    }
+  }
+  // Forget restored markets that closed while stopped and hold no bet
+  Object.keys(gameHistoricalData).forEach((marketId) => {
+    if (!openMarketIds.has(marketId) && !orderIds[marketId])
+      delete gameHistoricalData[marketId];
+  });
+  persistState();
 }
 
-// Fetch open tennis markets
+// Fetch open tennis markets; resolves to null when every attempt fails
 async function fetchOpenTennisMarkets() {
   let retries = 3;
   while (retries > 0) {
     try {
-      console.log(chalk.cyan(`Fetching open tennis markets`));
-      const response = await fetch(`${apiEndpoint}listMarketCatalogue/`, {
-        method: "POST",
-        headers: {
-          "X-Application": loginAppKey,
-          "X-Authentication": sessionToken,
-          "Content-Type": "application/json",
-          Accept: "application/json",
-        },
-        body: JSON.stringify({
-          filter: {
-            eventTypeIds: ["2"],
-            marketTypeCodes: ["MATCH_ODDS"],
-          },
-          maxResults: 200,
-          marketProjection: [
-            "RUNNER_DESCRIPTION",
-            "MARKET_START_TIME",
-            "EVENT",
-            "MARKET_DESCRIPTION",
-          ],
-        }),
+      log.markets.info(`Fetching open tennis markets`);
+      const data = await bettingRequest("listMarketCatalogue", {
+        filter: catalogueFilter(config.discovery),
+        maxResults: 200,
+        marketProjection: [
+          "RUNNER_DESCRIPTION",
+          "MARKET_START_TIME",
+          "EVENT",
+          "MARKET_DESCRIPTION",
+          "COMPETITION",
+        ],
       });
-      if (!response.ok)
-        throw new Error(`Fetch failed: ${await response.text()}`);
-      const data = await response.json();
-      console.log(chalk.cyan(`Raw markets fetched: ${data.length}`));
+      log.markets.info(`Raw markets fetched: ${data.length}`);
+      recorder?.recordCatalogue(data);
       return data;
     } catch (error) {
-      console.error(chalk.red(`Failed to fetch markets: ${error.message}`));
+      log.markets.error(`Failed to fetch markets: ${error.message}`);
       retries--;
       if (retries > 0)
         await new Promise((resolve) => setTimeout(resolve, 5000));
-      else return [];
+      else return null;
     }
   }
 }
 
+// Start tracking new catalogue markets that pass the discovery filters
+function trackMarkets(catalogue) {
+  let added = 0;
+  catalogue.forEach((market) => {
+    const marketId = market.marketId;
+    if (gameHistoricalData[marketId] || !(market.runners?.length >= 2)) return;
+    const reason = skipReason(market, config.discovery, new Date(clock.now()));
+    if (reason) {
+      if (!skippedMarkets.has(marketId))
+        log.markets.debug(
+          `Skipping market ${marketId} (${market.event?.name}, ${market.competition?.name}): ${reason}`
+        );
+      skippedMarkets.add(marketId);
+      return;
+    }
+    const eventOpenDate = new Date(
+      market.event?.openDate || market.marketStartTime || new Date(clock.now())
+    );
+    const [runnerA, runnerB] = market.runners;
+    gameHistoricalData[marketId] = {
+      isOpen: true,
+      marketId,
+      playerA: market.runners[0].runnerName || "Player A",
+      playerB: market.runners[1].runnerName || "Player B",
+      selectionIdA: market.runners[0].selectionId,
+      selectionIdB: market.runners[1].selectionId,
+      currentOdds: { pA: null, pB: null },
+      sets: [],
+      hasFirstSetEnded: false,
+      eventId: market.event?.id || marketId,
+      competition: market.competition?.name || null,
+      matchTypes: classifyMatch(market),
+      status: eventOpenDate > new Date(clock.now()) ? "UPCOMING" : "IN_PLAY",
+      eventOpenDate,
+    };
+    const game = gameHistoricalData[marketId];
+    // Pre-match ratings, kept with the market so the backtester sees what
+    // the bot knew; only runners with names can be rated
+    if (config.ratings.enabled && runnerA.runnerName && runnerB.runnerName)
+      game.ratings = {
+        ratingA: ratings.ratingOf(game.playerA),
+        ratingB: ratings.ratingOf(game.playerB),
+        probabilityA: ratings.probability(game.playerA, game.playerB),
+      };
+    appendToNdjson(game.eventId, {
+      type: "market_tracked",
+      marketId,
+      playerA: game.playerA,
+      playerB: game.playerB,
+      selectionIdA: game.selectionIdA,
+      selectionIdB: game.selectionIdB,
+      competition: game.competition,
+      matchTypes: game.matchTypes,
+      ratings: game.ratings,
+      eventOpenDate: eventOpenDate.toISOString(),
+      timestamp: new Date(clock.now()).toISOString(),
+    });
+    totalMarketsTracked++;
+    added++;
+  });
+  return added;
+}
+
+// Re-query the catalogue: track new markets, drop the ones that have closed
+// and bring the stream subscription up to date
+async function discoverMarkets() {
+  const catalogue = await fetchOpenTennisMarkets();
+  if (!catalogue) return;
+  const catalogueIds = new Set(catalogue.map((m) => m.marketId));
+  const added = trackMarkets(catalogue);
+  let dropped = 0;
+  Object.keys(gameHistoricalData).forEach((marketId) => {
+    // Markets leave the catalogue once closed; keep any still holding a bet
+    if (catalogueIds.has(marketId) || orderIds[marketId]) return;
+    delete gameHistoricalData[marketId];
+    removeMarket(marketCache, marketId);
+    dropped++;
+  });
+  skippedMarkets.forEach((marketId) => {
+    if (!catalogueIds.has(marketId)) skippedMarkets.delete(marketId);
+  });
+  log.markets.info(
+    `Market discovery: ${added} added, ${dropped} dropped, ${
+      Object.keys(gameHistoricalData).length
+    } tracked`
+  );
+  if (added > 0 || dropped > 0) persistState();
+  updateSubscription();
+}
+
+// Ids of the tracked markets that should be on the stream subscription
+function openMarketIdList() {
+  return Object.values(gameHistoricalData)
+    .filter((game) => game.isOpen)
+    .map((game) => game.marketId);
+}
+
+// Replace the market subscription when the set of open markets has changed
+function updateSubscription() {
+  if (!isAuthenticated || openMarketIdList().join(",") === subscribedMarketKey)
+    return;
+  log.stream.info("Tracked markets changed, updating subscription");
+  // Clocks belong to the old market set; the new subscription starts fresh
+  resetClocks(marketCache);
+  isSubscribed = false;
+  subscribeToOpenMarkets();
+}
+
 // Subscribe to open markets
 function subscribeToOpenMarkets() {
   if (isSubscribed) {
     return;
   }
-  const openMarketIds = Object.values(gameHistoricalData)
-    .filter((game) => game.isOpen)
-    .map((game) => game.marketId);
+  const openMarketIds = openMarketIdList();
   if (!ws || openMarketIds.length === 0) {
-    console.log(
-      chalk.yellow(
-        `No markets to subscribe to (ws: ${!!ws}, open markets: ${
-          openMarketIds.length
-        })`
-      )
+    subscribedMarketKey = "";
+    log.stream.warn(
+      `No markets to subscribe to (ws: ${!!ws}, open markets: ${
+        openMarketIds.length
+      })`
     );
     return;
   }
-  console.log(
-    chalk.cyan(
-      `Subscribing to ${openMarketIds.length} markets in ${Math.ceil(
-        openMarketIds.length / maxMarketsPerSubscription
-      )} batches`
-    )
+  log.stream.info(
+    `Subscribing to ${openMarketIds.length} markets in ${Math.ceil(
+      openMarketIds.length / maxMarketsPerSubscription
+    )} batches`
   );
   for (let i = 0; i < openMarketIds.length; i += maxMarketsPerSubscription) {
     const batch = openMarketIds.slice(i, i + maxMarketsPerSubscription);
+    const id = 1 + Math.floor(i / maxMarketsPerSubscription);
+    // Resume from the last clocks so the stream sends only missed changes
+    const clocks = subscriptionClocks(marketCache, id);
+    if (clocks.clk)
+      log.stream.info(`Resuming subscription ${id} from clk ${clocks.clk}`);
     const subscriptionMessage = {
       op: "marketSubscription",
-      id: 1 + Math.floor(i / maxMarketsPerSubscription),
+      id,
+      ...clocks,
+      ...streamTimings(),
       marketFilter: { marketIds: batch },
       marketDataFilter: { fields: ["EX_BEST_OFFERS", "EX_MARKET_DEF"] },
     };
     ws.write(JSON.stringify(subscriptionMessage) + "\r\n");
   }
-  const orderSubscriptionMessage = { op: "orderSubscription", id: 999 };
+  const orderClocks = subscriptionClocks(orderCache, 999);
+  const orderSubscriptionMessage = {
+    op: "orderSubscription",
+    id: 999,
+    ...orderClocks,
+    ...streamTimings(),
+    orderFilter: { includeOverallPosition: true },
+  };
   ws.write(JSON.stringify(orderSubscriptionMessage) + "\r\n");
+  subscribedMarketKey = openMarketIds.join(",");
   isSubscribed = true;
 }
 
-// Place a bet
-async function placeBet(marketId, selectionId, price, isTestBet = false) {
-  let betSize;
-  if (enableSimulation) {
-    betSize = (betPercentage / 100) * simBalance * multiplier;
-  } else if (useImpossibleOdds) {
-    betSize = 2;
-  } else {
-    betSize = (betPercentage / 100) * fixedBalance * multiplier;
+// Pass a normalized event to the strategies and collect the bets they ask for
+function collectIntents(event) {
+  return runStrategies(strategies, event, (strategy, error) =>
+    log.strategy.error(
+      `Strategy ${strategy.name} failed on ${event.type}: ${error.message}`
+    )
+  );
+}
+
+// Place the first intent the bot's own limits allow
+function placeFirstIntent(intents) {
+  const intent = intents.find((intent) => {
+    const game = gameHistoricalData[intent.marketId];
+    if (
+      !game ||
+      !game.isOpen ||
+      game.betRejected ||
+      game.excluded ||
+      positionBook.sequenceOf(intent.marketId)
+    )
+      return false;
+    if (bettingPaused) {
+      log.strategy.warn(
+        `Betting paused, skipping ${intent.strategy} bet on market ${intent.marketId}`
+      );
+      return false;
+    }
+    // After a stream outage the first message can show the market already
+    // suspended or closed
+    const status =
+      marketCache.markets[intent.marketId]?.marketDefinition?.status;
+    if (status && status !== "OPEN") {
+      log.strategy.warn(
+        `Market ${intent.marketId} is ${status}, skipping ${intent.strategy} bet`
+      );
+      return false;
+    }
+    const stale = staleDataReason(intent.marketId);
+    if (stale) {
+      log.strategy.warn(
+        `Market ${intent.marketId}: ${stale}, skipping ${intent.strategy} bet`
+      );
+      return false;
+    }
+    if (!positionBook.canOpen()) {
+      log.strategy.warn(
+        `Market ${intent.marketId}: ${config.positions.maxOpen} positions already open, skipping ${intent.strategy} bet`
+      );
+      return false;
+    }
+    if (game.match?.retired) {
+      log.strategy.warn(
+        `Market ${intent.marketId}: player retired, skipping ${intent.strategy} bet`
+      );
+      return false;
+    }
+    if (intent.side !== "BACK") {
+      log.strategy.warn(
+        `Strategy ${intent.strategy} asked for a ${intent.side} bet, only BACK bets are supported`
+      );
+      return false;
+    }
+    return true;
+  });
+  if (intent) {
+    log.strategy.info(
+      `Strategy ${intent.strategy} wants market ${intent.marketId}, selection ${intent.selectionId} at ${intent.price}: ${intent.reason}`
+    );
+    placeBet(intent);
   }
+}
+
+function dispatchStrategyEvent(event) {
+  const intents = collectIntents(event);
+  placeFirstIntent(intents);
+  return intents;
+}
+
+// Place a bet for a strategy's intent
+async function placeBet({
+  marketId,
+  selectionId,
+  price,
+  size,
+  probability,
+  isTestBet = false,
+  strategy,
+}) {
+  // Every bet holds a staking sequence while it is open; the sequence's
+  // progression sizes it unless the strategy or impossible odds set a stake
+  const planned = positionBook.stake({
+    balance: enableSimulation ? simBalance : liveBalance,
+    price,
+    probability,
+  });
+  if (!planned || positionBook.sequenceOf(marketId)) return;
+  let stakeInfo = planned;
+  if (size) {
+    stakeInfo = { sequence: planned.sequence, plan: "strategy", stake: size };
+  } else if (!enableSimulation && useImpossibleOdds) {
+    // A few cents, placed through the below-minimum sequence
+    stakeInfo = {
+      sequence: planned.sequence,
+      plan: "impossibleOdds",
+      stake: 0.05,
+    };
+  }
+  // Orders must be on the price ladder and in whole cents
+  const betPrice = snapPrice(price, config.orders.priceRounding);
+  const betSize = roundStake(stakeInfo.stake);
 
   const eventId = gameHistoricalData[marketId].eventId || marketId;
+  // The strategy's win probability and the expected value per unit staked
+  // it gives at the bet price
+  const model = {
+    probability: probability ?? null,
+    edge: probability
+      ? expectedValue(probability, betPrice, config.commissionRate)
+      : null,
+  };
+
+  const verdict =
+    betSize > 0
+      ? riskManager.checkBet({
+          stake: betSize,
+          price: betPrice,
+          availableSize: availableToBack(
+            marketCache.markets[marketId],
+            selectionId,
+            betPrice
+          ),
+          sequence: stakeInfo.sequence,
+          openExposure: positionBook.exposure(),
+        })
+      : {
+          allowed: false,
+          rule: "no_stake",
+          reason: `${stakeInfo.plan} staking gave no stake`,
+        };
+  if (!verdict.allowed) {
+    log.risk.warn(
+      `Bet on market ${marketId} blocked by risk rule ${verdict.rule}: ${verdict.reason}`
+    );
+    appendToNdjson(eventId, {
+      type: "bet_rejected",
+      marketId,
+      selectionId,
+      size: betSize,
+      price: betPrice,
+      rule: verdict.rule,
+      reason: verdict.reason,
+      isTestBet,
+      timestamp: new Date(clock.now()).toISOString(),
+    });
+    // Don't keep retrying the same market on every odds update
+    gameHistoricalData[marketId].betRejected = verdict.rule;
+    return;
+  }
+  riskManager.recordBet();
+  if (!isTestBet) totalBetsPlaced++;
+  // Hold the sequence now so no other bet takes it while this one is placed
+  positionBook.open(marketId, betSize, stakeInfo.sequence);
 
   if (enableSimulation) {
-    console.log(
-      chalk.cyan(
-        `Simulated ${
-          isTestBet ? "test " : ""
-        }bet on market ${marketId}: ${betSize.toFixed(2)} euros at ${price}`
-      )
+    const market = marketCache.markets[marketId];
+    const order = fillSimulator.place(
+      { marketId, selectionId, price: betPrice, size: betSize },
+      market
+    );
+    const betDelayMs = order.activeAt - order.placedAt;
+    log.orders.info(
+      `Simulated ${
+        isTestBet ? "test " : ""
+      }bet on market ${marketId}: ${betSize.toFixed(2)} euros at ${betPrice}${
+        betDelayMs ? ` (bet delay ${betDelayMs / 1000}s)` : ""
+      }`
     );
     orderIds[marketId] = `sim_${marketId}`;
     simBalance -= betSize;
-    gameHistoricalData[marketId].bet = { selectionId, size: betSize, price };
+    // The size is what has been matched so far
+    gameHistoricalData[marketId].bet = {
+      selectionId,
+      size: 0,
+      requestedSize: betSize,
+      price: betPrice,
+      commissionRate: fillSimulator.commissionRate(
+        market,
+        config.commissionRate
+      ),
+    };
     appendToNdjson(eventId, {
       type: "bet_placed",
       mode: "simulated",
       marketId,
       selectionId,
       size: betSize,
-      price,
-      timestamp: new Date().toISOString(),
+      price: betPrice,
+      betDelayMs,
+      strategy,
+      model,
+      staking: stakeInfo,
+      timestamp: new Date(clock.now()).toISOString(),
       isTestBet,
     });
     hasPlacedBet = true;
-    hasOpenBet = true;
-    if (isTestBet) testBetPlaced = true;
+    dispatchStrategyEvent({
+      type: "bet_placed",
+      marketId,
+      game: gameHistoricalData[marketId],
+      strategy,
+      selectionId,
+      price: betPrice,
+      size: betSize,
+      timestamp: new Date(clock.now()).toISOString(),
+    });
+    persistState();
+    // A replay tries the order at the replayed time instead
+    if (!replaying)
+      setTimeout(() => simulateFills(marketId, false), betDelayMs);
   } else {
     try {
-      let betPrice = useImpossibleOdds ? 1000 : price;
-      console.log(
-        chalk.cyan(
-          `Placing ${
-            isTestBet ? "test " : ""
-          }bet on market ${marketId}: ${betSize.toFixed(
-            2
-          )} euros at ${betPrice}`
-        )
-      );
-      const response = await fetch(`${apiEndpoint}placeOrders/`, {
-        method: "POST",
-        headers: {
-          "X-Application": loginAppKey,
-          "X-Authentication": sessionToken,
-          "Content-Type": "application/json",
-          Accept: "application/json",
-        },
-        body: JSON.stringify({
-          marketId,
-          instructions: [
-            {
-              selectionId,
-              side: "BACK",
-              orderType: "LIMIT",
-              limitOrder: {
-                size: betSize,
-                price: betPrice,
-                persistenceType: "LAPSE",
-              },
-            },
-          ],
-        }),
-      });
-      if (!response.ok)
-        throw new Error(`Bet placement failed: ${await response.text()}`);
-      const data = await response.json();
-      const betId = data.instructionReports[0].betId;
-      console.log(
-        chalk.green(`Bet placed on market ${marketId}, betId: ${betId}`)
+      const belowMinimum = betSize < config.orders.minStake;
+      log.orders.info(
+        `Placing ${
+          isTestBet ? "test " : ""
+        }bet on market ${marketId}: ${betSize.toFixed(
+          2
+        )} euros at ${betPrice}${belowMinimum ? " (below minimum)" : ""}`
       );
+      const betId = belowMinimum
+        ? await placeBelowMinimum(marketId, selectionId, betSize, betPrice)
+        : await placeOrder(marketId, selectionId, betSize, betPrice);
+      log.orders.success(`Bet placed on market ${marketId}, betId: ${betId}`);
       orderIds[marketId] = betId;
+      orderManager.track({
+        betId,
+        marketId,
+        selectionId,
+        price: betPrice,
+        size: betSize,
+      });
       gameHistoricalData[marketId].bet = {
         selectionId,
         size: betSize,
@@ -311,83 +1100,837 @@ async function placeBet(marketId, selectionId, price, isTestBet = false) {
         size: betSize,
         price: betPrice,
         betId,
-        timestamp: new Date().toISOString(),
+        belowMinimum,
+        strategy,
+        model,
+        staking: stakeInfo,
+        timestamp: new Date(clock.now()).toISOString(),
         isTestBet,
       });
-      if (useImpossibleOdds) {
-        await editBet(marketId, betId, 0.05, price);
-      } else {
-        hasOpenBet = true;
-      }
       hasPlacedBet = true;
-      if (isTestBet) testBetPlaced = true;
+      dispatchStrategyEvent({
+        type: "bet_placed",
+        marketId,
+        game: gameHistoricalData[marketId],
+        strategy,
+        selectionId,
+        price: betPrice,
+        size: betSize,
+        timestamp: new Date(clock.now()).toISOString(),
+      });
+      persistState();
     } catch (error) {
-      console.error(chalk.red(`Bet placement failed: ${error.message}`));
+      log.orders.error(`Bet placement failed: ${error.message}`);
+      positionBook.close(marketId);
     }
   }
 }
 
-// Edit a live bet
-async function editBet(marketId, betId, newSize, price) {
-  if (!enableSimulation) {
-    try {
-      console.log(
-        chalk.cyan(
-          `Editing bet ${betId} on market ${marketId} to size ${newSize} at price ${price}`
-        )
+// The first instruction report of a betting operation, or an error naming
+// the reason it failed
+function instructionReport(operation, data) {
+  const report = data.instructionReports?.[0];
+  if (data.status !== "SUCCESS" || report?.status !== "SUCCESS")
+    throw new Error(
+      `${operation} failed: ${
+        report?.errorCode || data.errorCode || data.status
+      }`
+    );
+  return report;
+}
+
+// Place a back limit order; returns its betId
+async function placeOrder(marketId, selectionId, size, price) {
+  const data = await bettingRequest("placeOrders", {
+    marketId,
+    instructions: [
+      {
+        selectionId,
+        side: "BACK",
+        orderType: "LIMIT",
+        limitOrder: { size, price, persistenceType: "LAPSE" },
+      },
+    ],
+  });
+  return instructionReport("placeOrders", data).betId;
+}
+
+// The exchange rejects stakes under the minimum, so place the minimum at
+// 1000 where it cannot match, cancel all but the wanted stake and move what
+// is left to the real price. Every step is checked; if one fails, whatever
+// remains of the order is cancelled. Returns the betId at the real price.
+async function placeBelowMinimum(marketId, selectionId, size, price) {
+  const { minStake } = config.orders;
+  const eventId = gameHistoricalData[marketId]?.eventId || marketId;
+  const betId = await placeOrder(marketId, selectionId, minStake, maxPrice);
+  try {
+    const reduction = roundStake(minStake - size);
+    const cancelled = instructionReport(
+      "cancelOrders",
+      await bettingRequest("cancelOrders", {
+        marketId,
+        instructions: [{ betId, sizeReduction: reduction }],
+      })
+    );
+    if (roundStake(cancelled.sizeCancelled) !== reduction)
+      throw new Error(
+        `cancelOrders reduced bet ${betId} by ${cancelled.sizeCancelled}, expected ${reduction}`
       );
-      const response = await fetch(`${apiEndpoint}replaceOrders/`, {
-        method: "POST",
-        headers: {
-          "X-Application": loginAppKey,
-          "X-Authentication": sessionToken,
-          "Content-Type": "application/json",
-          Accept: "application/json",
-        },
-        body: JSON.stringify({
-          marketId,
-          instructions: [{ betId, newPrice: price, newSize }],
-        }),
-      });
-      if (!response.ok)
-        throw new Error(`Bet edit failed: ${await response.text()}`);
-      console.log(
-        chalk.blue(
-          `Bet ${betId} edited to size ${newSize} euros at price ${price}`
-        )
+    const replaced = instructionReport(
+      "replaceOrders",
+      await bettingRequest("replaceOrders", {
+        marketId,
+        instructions: [{ betId, newPrice: price }],
+      })
+    );
+    const newBetId = replaced.placeInstructionReport?.betId;
+    if (!newBetId) throw new Error("replaceOrders returned no new betId");
+    appendToNdjson(eventId, {
+      type: "below_minimum_placed",
+      marketId,
+      selectionId,
+      initialBetId: betId,
+      betId: newBetId,
+      size,
+      price,
+      timestamp: new Date(clock.now()).toISOString(),
+    });
+    return newBetId;
+  } catch (error) {
+    await bettingRequest("cancelOrders", {
+      marketId,
+      instructions: [{ betId }],
+    }).catch(() => {});
+    throw error;
+  }
+}
+
+// Reduce a market's bet to what its orders actually matched
+function settleMatchedPosition(marketId) {
+  const game = gameHistoricalData[marketId];
+  const position = orderManager.position(marketId);
+  if (!game?.bet || position.orders.length === 0) return;
+  game.bet.requestedSize = game.bet.requestedSize || game.bet.size;
+  game.bet.size = position.matched;
+  positionBook.setExposure(marketId, position.matched);
+  // The exchange's matched ladder counts every bet on the runner, including
+  // the ones replaced while chasing
+  const matched = matchedPosition(orderCache, marketId, game.bet.selectionId);
+  game.bet.price =
+    matched?.averagePrice || position.averagePrice || game.bet.price;
+  game.bet.complete = true;
+  game.bet.matchedAt = game.bet.matchedAt || clock.now();
+}
+
+// Our settled bets on a market from listClearedOrders: profit after
+// commission and the size and average price of the back bets, hedges left
+// out. Resolves to null until the exchange has settled the market.
+async function fetchSettlement(marketId) {
+  const bets = await bettingRequest("listClearedOrders", {
+    betStatus: "SETTLED",
+    marketIds: [marketId],
+  });
+  const cleared = bets.clearedOrders || [];
+  if (cleared.length === 0) return null;
+  // Commission is only reported for the market as a whole
+  const market = await bettingRequest("listClearedOrders", {
+    betStatus: "SETTLED",
+    marketIds: [marketId],
+    groupBy: "MARKET",
+  });
+  const profit = cleared.reduce((sum, order) => sum + order.profit, 0);
+  const backs = cleared.filter((order) => order.side !== "LAY");
+  const size = backs.reduce((sum, order) => sum + order.sizeSettled, 0);
+  const commission =
+    market.clearedOrders?.[0]?.commission ??
+    Math.max(profit, 0) * config.commissionRate;
+  return {
+    betIds: cleared.map((order) => order.betId),
+    profit,
+    commission,
+    pnl: profit - commission,
+    size,
+    averagePrice:
+      size > 0
+        ? backs.reduce(
+            (sum, order) => sum + order.priceMatched * order.sizeSettled,
+            0
+          ) / size
+        : null,
+  };
+}
+
+// Settle a closed market's live bet from the exchange's cleared orders,
+// trying again every orders.settlementRetryMs until it is settled. The bet
+// stays open meanwhile so the next stake sees the result.
+async function settleLiveMarket(
+  marketId,
+  { resumed = false, attempt = 1 } = {}
+) {
+  const game = gameHistoricalData[marketId];
+  if (!game?.bet) return;
+  const eventId = game.eventId || marketId;
+  let settlement = null;
+  try {
+    settlement = await fetchSettlement(marketId);
+  } catch (error) {
+    log.orders.error(
+      `Failed to fetch settlement for market ${marketId}: ${error.message}`
+    );
+  }
+  if (!settlement) {
+    if (attempt < config.orders.settlementAttempts) {
+      setTimeout(
+        () => settleLiveMarket(marketId, { resumed, attempt: attempt + 1 }),
+        config.orders.settlementRetryMs
       );
-      gameHistoricalData[marketId].bet.size = newSize;
-      gameHistoricalData[marketId].bet.price = price;
-      appendToNdjson(gameHistoricalData[marketId].eventId || marketId, {
-        type: "bet_edited",
-        betId,
-        newSize,
-        newPrice: price,
-        timestamp: new Date().toISOString(),
-      });
-      hasOpenBet = true;
+      return;
+    }
+    log.orders.warn(
+      `Bet on market ${marketId} was not settled after ${attempt} attempts (lapsed, cancelled or voided), releasing it`
+    );
+    releaseBet(marketId);
+    forgetMarket(marketId);
+    return;
+  }
+  const isWin = settlement.profit > 0;
+  liveBalance += settlement.pnl;
+  // The average price is null when only hedges were settled
+  log.orders.info(
+    chalk[isWin ? "green" : "red"](
+      `Market ${marketId} settled, ${settlement.size.toFixed(2)} matched at ${
+        settlement.averagePrice?.toFixed(2) ?? "-"
+      }, PNL: ${settlement.pnl.toFixed(2)} euros after ${settlement.commission.toFixed(
+        2
+      )} commission`
+    )
+  );
+  appendToNdjson(eventId, {
+    type: "bet_outcome",
+    mode: "live",
+    marketId,
+    selectionId: game.bet.selectionId,
+    outcome: isWin ? "win" : "lose",
+    pnl: settlement.pnl,
+    profit: settlement.profit,
+    commission: settlement.commission,
+    size: settlement.size,
+    averagePrice: settlement.averagePrice,
+    hedged: !!game.bet.lays?.length,
+    betIds: settlement.betIds,
+    balance: liveBalance,
+    resumed,
+    timestamp: new Date(clock.now()).toISOString(),
+  });
+  recordSettlement(marketId, isWin, settlement.pnl);
+  releaseBet(marketId);
+  forgetMarket(marketId);
+}
+
+// Drop a finished market from every cache and save the state
+function forgetMarket(marketId) {
+  delete orderIds[marketId];
+  delete gameHistoricalData[marketId];
+  removeMarket(marketCache, marketId);
+  removeOrderMarket(orderCache, marketId);
+  orderManager.removeMarket(marketId);
+  fillSimulator.remove(marketId);
+  positionBook.close(marketId);
+  persistState();
+}
+
+// Match a simulated order against the market's current prices and finish
+// the bet once nothing is left unmatched: the unmatched stake goes back to
+// the balance, and a bet that matched nothing is released
+function simulateFills(marketId, pricesChanged) {
+  const game = gameHistoricalData[marketId];
+  const result = fillSimulator.update(
+    marketId,
+    marketCache.markets[marketId],
+    pricesChanged
+  );
+  if (!result || !game?.bet) return;
+  const { order } = result;
+  if (order.side === "LAY") {
+    fillSimulator.remove(marketId);
+    recordHedge(marketId, {
+      size: order.size,
+      price: order.price,
+      sizeMatched: order.sizeMatched,
+      averagePrice: order.averagePriceMatched,
+    });
+    return;
+  }
+  game.bet.size = order.sizeMatched;
+  if (order.averagePriceMatched) game.bet.price = order.averagePriceMatched;
+  positionBook.setExposure(marketId, order.sizeMatched + order.sizeRemaining);
+  if (!result.done) {
+    log.orders.info(
+      `Simulated bet on market ${marketId} matched ${order.sizeMatched.toFixed(
+        2
+      )} of ${order.size.toFixed(2)} so far`
+    );
+    persistState();
+    return;
+  }
+  fillSimulator.remove(marketId);
+  simBalance += order.sizeLapsed + order.sizeCancelled;
+  const eventId = game.eventId || marketId;
+  if (order.sizeMatched === 0) {
+    log.orders.warn(
+      `Simulated bet on market ${marketId} ended unmatched (${
+        order.sizeLapsed > 0 ? "lapsed" : "cancelled"
+      }), releasing it`
+    );
+    appendToNdjson(eventId, {
+      type: "bet_cancelled",
+      mode: "simulated",
+      marketId,
+      selectionId: game.bet.selectionId,
+      size: game.bet.requestedSize,
+      lapsed: order.sizeLapsed > 0,
+      timestamp: new Date(clock.now()).toISOString(),
+    });
+    delete game.bet;
+    releaseBet(marketId);
+  } else {
+    game.bet.matchedAt = clock.now();
+    log.orders.success(
+      `Simulated bet on market ${marketId} matched ${game.bet.size.toFixed(
+        2
+      )} of ${game.bet.requestedSize.toFixed(2)} at ${game.bet.price.toFixed(
+        2
+      )}`
+    );
+    appendToNdjson(eventId, {
+      type: "bet_matched",
+      mode: "simulated",
+      marketId,
+      selectionId: game.bet.selectionId,
+      size: game.bet.size,
+      requestedSize: game.bet.requestedSize,
+      price: game.bet.price,
+      partial: game.bet.size < game.bet.requestedSize,
+      timestamp: new Date(clock.now()).toISOString(),
+    });
+  }
+  persistState();
+}
+
+// Time out or start matching simulated orders between market updates
+function manageSimulatedOrders() {
+  fillSimulator
+    .pendingMarkets()
+    .forEach((marketId) => simulateFills(marketId, false));
+}
+
+// Follow a live order's matched and unmatched size. Once no order of the
+// market is left unmatched, the bet is whatever was matched; nothing matched
+// (cancelled or lapsed) releases the open bet.
+function handleOrderUpdate(order) {
+  const { marketId } = order;
+  const game = gameHistoricalData[marketId];
+  if (!game?.bet || game.bet.complete) return;
+  const position = orderManager.position(marketId);
+  if (position.open) return;
+  const eventId = game.eventId || marketId;
+  if (position.matched === 0) {
+    log.orders.warn(
+      `Bet on market ${marketId} ended unmatched (${
+        order.sizeLapsed > 0 ? "lapsed" : "cancelled"
+      }), releasing it`
+    );
+    appendToNdjson(eventId, {
+      type: "bet_cancelled",
+      marketId,
+      betId: order.betId,
+      selectionId: game.bet.selectionId,
+      size: game.bet.size,
+      lapsed: order.sizeLapsed > 0,
+      timestamp: new Date(clock.now()).toISOString(),
+    });
+    delete game.bet;
+    orderManager.removeMarket(marketId);
+    releaseBet(marketId);
+  } else {
+    settleMatchedPosition(marketId);
+    log.orders.success(
+      `Bet on market ${marketId} matched ${game.bet.size.toFixed(
+        2
+      )} of ${game.bet.requestedSize.toFixed(
+        2
+      )} at ${game.bet.price.toFixed(2)}`
+    );
+    appendToNdjson(eventId, {
+      type: "bet_matched",
+      marketId,
+      selectionId: game.bet.selectionId,
+      size: game.bet.size,
+      requestedSize: game.bet.requestedSize,
+      price: game.bet.price,
+      partial: game.bet.size < game.bet.requestedSize,
+      timestamp: new Date(clock.now()).toISOString(),
+    });
+  }
+  persistState();
+}
+
+// Cancel or re-price live orders that have stayed unmatched too long or
+// that the market has moved away from
+async function manageUnmatchedOrders() {
+  const actions = orderManager.due((order) =>
+    bestBackPrice(marketCache.markets[order.marketId], order.selectionId)
+  );
+  for (const { action, order, newPrice, reason } of actions) {
+    const { betId, marketId } = order;
+    const eventId = gameHistoricalData[marketId]?.eventId || marketId;
+    try {
+      if (action === "cancel") {
+        const report = instructionReport(
+          "cancelOrders",
+          await bettingRequest("cancelOrders", {
+            marketId,
+            instructions: [{ betId }],
+          })
+        );
+        log.orders.warn(
+          `Cancelled unmatched ${report.sizeCancelled} of bet ${betId} on market ${marketId} (${reason})`
+        );
+        appendToNdjson(eventId, {
+          type: "order_cancelled",
+          marketId,
+          betId,
+          sizeCancelled: report.sizeCancelled,
+          reason,
+          timestamp: new Date(clock.now()).toISOString(),
+        });
+        handleOrderUpdate(
+          orderManager.applyCancel(betId, report.sizeCancelled)
+        );
+      } else {
+        const size = order.sizeRemaining;
+        const report = instructionReport(
+          "replaceOrders",
+          await bettingRequest("replaceOrders", {
+            marketId,
+            instructions: [{ betId, newPrice }],
+          })
+        );
+        const placed = report.placeInstructionReport;
+        orderManager.replaced(
+          betId,
+          placed.betId,
+          newPrice,
+          placed.instruction?.limitOrder?.size ?? size
+        );
+        orderIds[marketId] = placed.betId;
+        log.orders.info(
+          `Moved unmatched bet ${betId} on market ${marketId} from ${order.price} to ${newPrice} as bet ${placed.betId} (${reason})`
+        );
+        appendToNdjson(eventId, {
+          type: "order_replaced",
+          marketId,
+          betId,
+          newBetId: placed.betId,
+          oldPrice: order.price,
+          newPrice,
+          reason,
+          timestamp: new Date(clock.now()).toISOString(),
+        });
+        persistState();
+      }
     } catch (error) {
-      console.error(chalk.red(`Bet edit failed: ${error.message}`));
+      // The order may have matched or lapsed meanwhile; the order stream
+      // will tell, otherwise the next check tries again
+      orderManager.failed(betId);
+      log.orders.error(`Could not ${action} bet ${betId}: ${error.message}`);
     }
   }
 }
 
-// Connect to Stream API
-function connectStreamAPI() {
-  if (ws) {
-    ws.destroy();
-    ws = null;
+// A market's bet as a position: the matched back bet and its hedges
+function hedgePosition(bet) {
+  return { back: { size: bet.size, price: bet.price }, lays: bet.lays || [] };
+}
+
+// Green up a matched back bet once a hedging trigger fires, laying the
+// green-up stake at the best lay price. A trigger that fired stays in force
+// until the position is hedged, so a hedge that matched only in part is
+// completed after hedging.retryMs.
+async function checkHedge(marketId, scoreEvent = null) {
+  const game = gameHistoricalData[marketId];
+  const bet = game?.bet;
+  if (!config.hedging.enabled || !bet?.matchedAt || bet.hedged) return;
+  if (hedgesInFlight.has(marketId) || fillSimulator.orders[marketId]) return;
+  if (bet.lastHedgeAt && clock.now() - bet.lastHedgeAt < config.hedging.retryMs)
+    return;
+  const market = marketCache.markets[marketId];
+  if (market?.marketDefinition?.status !== "OPEN" || staleDataReason(marketId))
+    return;
+  const layPrice = bestLayPrice(market, bet.selectionId);
+  if (!layPrice) return;
+  const position = hedgePosition(bet);
+  const reason =
+    bet.hedgeReason ||
+    hedgeTrigger(config.hedging, {
+      position,
+      layPrice,
+      scoreEvent,
+      matchedAt: bet.matchedAt,
+      now: clock.now(),
+    });
+  if (!reason) return;
+  bet.hedgeReason = reason;
+  const size = roundStake(greenUpStake(position, layPrice));
+  if (size < config.orders.minStake) {
+    bet.hedged = true;
+    log.orders.warn(
+      `Green-up stake ${size.toFixed(
+        2
+      )} on market ${marketId} is under the minimum stake, keeping the position as it is`
+    );
+    persistState();
+    return;
   }
+  log.orders.info(
+    `Hedging market ${marketId} (${reason}): laying ${size.toFixed(
+      2
+    )} at ${layPrice}`
+  );
+  if (enableSimulation) {
+    fillSimulator.place(
+      {
+        marketId,
+        selectionId: bet.selectionId,
+        side: "LAY",
+        price: layPrice,
+        size,
+        fillOrKill: true,
+      },
+      market
+    );
+    persistState();
+    if (!replaying) simulateFills(marketId, false);
+    return;
+  }
+  hedgesInFlight.add(marketId);
+  try {
+    const report = await placeHedge(marketId, bet.selectionId, size, layPrice);
+    recordHedge(marketId, {
+      betId: report.betId,
+      size,
+      price: layPrice,
+      sizeMatched: report.sizeMatched || 0,
+      averagePrice: report.averagePriceMatched || layPrice,
+    });
+  } catch (error) {
+    bet.lastHedgeAt = clock.now();
+    log.orders.error(`Hedge on market ${marketId} failed: ${error.message}`);
+  } finally {
+    hedgesInFlight.delete(marketId);
+  }
+}
+
+// Place a fill-or-kill lay order: whatever doesn't match at once is
+// cancelled. Returns its instruction report.
+async function placeHedge(marketId, selectionId, size, price) {
+  const data = await bettingRequest("placeOrders", {
+    marketId,
+    instructions: [
+      {
+        selectionId,
+        side: "LAY",
+        orderType: "LIMIT",
+        limitOrder: { size, price, timeInForce: "FILL_OR_KILL" },
+      },
+    ],
+  });
+  return instructionReport("placeOrders", data);
+}
+
+// Add a hedge's matched part to its position; the position is hedged once
+// a hedge matched in full
+function recordHedge(
+  marketId,
+  { betId, size, price, sizeMatched, averagePrice }
+) {
+  const game = gameHistoricalData[marketId];
+  if (!game?.bet) return;
+  const bet = game.bet;
+  if (sizeMatched > 0)
+    bet.lays = [
+      ...(bet.lays || []),
+      { size: sizeMatched, price: averagePrice, betId },
+    ];
+  if (sizeMatched >= size) bet.hedged = true;
+  else bet.lastHedgeAt = clock.now();
+  const { ifWin, ifLose } = positionProfit(hedgePosition(bet));
+  positionBook.setExposure(marketId, Math.max(-Math.min(ifWin, ifLose), 0));
+  (sizeMatched > 0 ? log.orders.success : log.orders.warn)(
+    `Hedge on market ${marketId} matched ${sizeMatched.toFixed(
+      2
+    )} of ${size.toFixed(2)}, profit ${ifWin.toFixed(2)} if ${
+      bet.selectionId
+    } wins, ${ifLose.toFixed(2)} if not`
+  );
+  appendToNdjson(game.eventId || marketId, {
+    type: "hedge_placed",
+    mode: enableSimulation ? "simulated" : "live",
+    marketId,
+    selectionId: bet.selectionId,
+    reason: bet.hedgeReason,
+    betId,
+    size,
+    price,
+    sizeMatched,
+    averagePrice: sizeMatched > 0 ? averagePrice : null,
+    profitIfWin: ifWin,
+    profitIfLose: ifLose,
+    timestamp: new Date(clock.now()).toISOString(),
+  });
+  persistState();
+}
+
+// Apply a settled result to its sequence's staking progression and the
+// risk limits, and free the sequence
+function recordSettlement(marketId, isWin, pnl) {
+  const sequence = positionBook.close(marketId, { isWin, pnl });
+  const sequenceId = sequence?.id ?? 0;
+  const multiplier = sequence?.staking.state().multiplier;
+  if (multiplier >= config.notifications.multiplierThreshold)
+    notifier.notify("multiplier_high", {
+      title: "Multiplier high",
+      message: `Sequence ${sequenceId} multiplier is ${multiplier} after market ${marketId}`,
+      key: `${sequenceId}:${multiplier}`,
+      data: { sequence: sequenceId, multiplier, marketId },
+    });
+  const action = riskManager.recordResult(pnl, isWin, sequenceId);
+  if (!action) return;
+  if (action === "reset") {
+    positionBook.reset(sequenceId);
+    log.risk.warn(
+      `Max martingale depth reached after market ${marketId}, ${positionBook.plan} staking of sequence ${sequenceId} reset`
+    );
+  } else {
+    log.risk.error(
+      `Betting halted: ${riskManager.state.haltReason}. Send SIGUSR2 to reset.`
+    );
+  }
+  appendToNdjson(gameHistoricalData[marketId]?.eventId || marketId, {
+    type: "risk_action",
+    action,
+    marketId,
+    sequence: sequenceId,
+    reason:
+      action === "reset"
+        ? "max_martingale_depth"
+        : riskManager.state.haltReason,
+    timestamp: new Date(clock.now()).toISOString(),
+  });
+}
+
+// Clear a risk halt on request and start the staking progression over
+function resetRiskHalt() {
+  riskManager.resetHalt();
+  positionBook.reset();
+  persistState();
+  log.risk.success(`Risk halt cleared, ${positionBook.plan} staking reset`);
+}
+
+// What the dashboard shows
+const dashboardView = {
+  status: () => ({
+    startedAt: startTime.toISOString(),
+    mode: enableSimulation ? "simulation" : "live",
+    paused: bettingPaused,
+    stream: {
+      ...streamStats,
+      authenticated: isAuthenticated,
+      subscribed: isSubscribed,
+    },
+    balance: currentBalance(),
+    plan: positionBook.plan,
+    sequences: positionBook.sequences.map((sequence) => ({
+      id: sequence.id,
+      marketId: sequence.marketId,
+      exposure: sequence.exposure,
+      staking: sequence.staking.state(),
+    })),
+    risk: riskManager.state,
+    totals: {
+      totalMarketsTracked,
+      totalSetsCompleted,
+      totalConditionsMet,
+      totalBetsPlaced,
+    },
+  }),
+  markets: () =>
+    Object.values(gameHistoricalData).map((game) => ({
+      marketId: game.marketId,
+      players: `${game.playerA} v ${game.playerB}`,
+      competition: game.competition,
+      status: game.status,
+      isOpen: game.isOpen,
+      excluded: !!game.excluded,
+      score: (game.sets || [])
+        .map((set) => `${set.homeScore ?? 0}-${set.awayScore ?? 0}`)
+        .join(" "),
+      points: game.match?.points || null,
+      server: game.match?.server || null,
+      odds: game.currentOdds,
+      bet: game.bet || null,
+    })),
+  bets: () =>
+    Object.entries(orderIds).map(([marketId, betId]) => {
+      const game = gameHistoricalData[marketId];
+      return {
+        marketId,
+        betId,
+        players: game ? `${game.playerA} v ${game.playerB}` : null,
+        ...game?.bet,
+        sequence: positionBook.sequenceOf(marketId)?.id ?? null,
+      };
+    }),
+  pnl: () => pnlHistory,
+};
+
+// What the dashboard's control endpoints do
+const dashboardControls = {
+  pause: () => {
+    bettingPaused = true;
+    log.dashboard.warn("Betting paused from the dashboard");
+    persistState();
+  },
+  resume: () => {
+    bettingPaused = false;
+    log.dashboard.success("Betting resumed from the dashboard");
+    persistState();
+  },
+  resetMultiplier: () => {
+    positionBook.reset();
+    riskManager.resetDepths();
+    log.dashboard.warn(`${positionBook.plan} staking reset from the dashboard`);
+    persistState();
+  },
+  // No new bets on the market; one without a bet also leaves the stream,
+  // while one with a bet stays on it until it is settled
+  excludeMarket: (marketId) => {
+    const game = gameHistoricalData[marketId];
+    if (!game) return false;
+    game.excluded = true;
+    if (!positionBook.sequenceOf(marketId)) game.isOpen = false;
+    log.dashboard.warn(`Market ${marketId} excluded from the dashboard`);
+    appendToNdjson(game.eventId || marketId, {
+      type: "market_excluded",
+      reason: "manual",
+      marketId,
+      timestamp: new Date(clock.now()).toISOString(),
+    });
+    persistState();
+    updateSubscription();
+  },
+};
+
+// Reconnect once after a delay, however many error/close events fire
+function scheduleReconnect() {
+  if (reconnectTimer) return;
+  const { reconnectMinMs, reconnectMaxMs } = config.stream;
+  const delay = Math.min(
+    reconnectMinMs * 2 ** reconnectAttempts,
+    reconnectMaxMs
+  );
+  reconnectAttempts++;
+  log.stream.info(`Reconnecting to the stream in ${delay} ms`);
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    connectStreamAPI();
+  }, delay);
+}
+
+// Drop the stream socket without its close handler scheduling a reconnect
+function closeStream() {
+  if (!ws) return;
+  ws.removeAllListeners();
+  ws.on("error", () => {});
+  ws.destroy();
+  ws = null;
+  markStreamDown();
+}
+
+function markStreamDown() {
+  streamStats.connected = false;
+  streamStats.downSince =
+    streamStats.downSince || new Date(clock.now()).toISOString();
   isSubscribed = false;
   isAuthenticated = false;
-  ws = tls.connect({
-    host: streamHost,
-    port: streamPort,
-    rejectUnauthorized: true,
-  });
+}
+
+// Heartbeat and conflation settings sent with every subscription
+function streamTimings() {
+  const { heartbeatMs, conflateMs } = config.stream;
+  return conflateMs ? { heartbeatMs, conflateMs } : { heartbeatMs };
+}
+
+// Ask for a heartbeat when the stream has been quiet for heartbeatMs, and
+// reconnect when nothing at all arrived for idleTimeoutMs: a stalled
+// socket may never emit close
+function checkStreamWatchdog() {
+  if (!ws || !streamStats.connected) return;
+  const { heartbeatMs, idleTimeoutMs } = config.stream;
+  const lastData = Date.parse(
+    streamStats.lastMessageAt || streamStats.connectedAt
+  );
+  const idle = clock.now() - lastData;
+  if (idleTimeoutMs && idle >= idleTimeoutMs) {
+    log.stream.warn(`No stream data for ${idle} ms, reconnecting`);
+    closeStream();
+    scheduleReconnect();
+    return;
+  }
+  if (
+    isAuthenticated &&
+    idle >= heartbeatMs &&
+    clock.now() - lastHeartbeatSentAt >= heartbeatMs
+  ) {
+    lastHeartbeatSentAt = clock.now();
+    ws.write(JSON.stringify({ op: "heartbeat", id: 0 }) + "\r\n");
+  }
+}
+
+// Why the stream's prices for a market can't be trusted for a bet right
+// now, or null when they can
+function staleDataReason(marketId) {
+  const { staleMs, maxLatencyMs } = config.stream;
+  if (!isAuthenticated) return "stream not connected";
+  const age = clock.now() - Date.parse(streamStats.lastMessageAt);
+  if (staleMs && age > staleMs) return `no stream data for ${age} ms`;
+  if (maxLatencyMs && streamStats.latencyMs > maxLatencyMs)
+    return `stream latency ${streamStats.latencyMs} ms`;
+  if (conflatedMarkets.has(marketId)) return "market data conflated";
+  return null;
+}
+
+// Connect to Stream API
+function connectStreamAPI() {
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  if (streamStats.connectedAt) streamStats.reconnects++;
+  closeStream();
+  markStreamDown();
+  buffer = "";
+  ws = streamTls
+    ? tls.connect({
+        host: streamHost,
+        port: streamPort,
+        rejectUnauthorized: streamRejectUnauthorized,
+      })
+    : net.connect({ host: streamHost, port: streamPort });
   ws.on("connect", () => {
-    console.log(
-      chalk.green(`Connected to Stream API at ${streamHost}:${streamPort}`)
+    streamStats.connected = true;
+    streamStats.connectedAt = new Date(clock.now()).toISOString();
+    streamStats.lastMessageAt = null;
+    log.stream.success(
+      `Connected to Stream API at ${streamHost}:${streamPort}`
     );
     ws.write(
       JSON.stringify({
@@ -398,6 +1941,8 @@ function connectStreamAPI() {
     );
   });
   ws.on("data", (data) => {
+    const receivedAt = clock.now();
+    streamStats.lastMessageAt = new Date(receivedAt).toISOString();
     buffer += data.toString();
     while (true) {
       const index = buffer.indexOf("\r\n");
@@ -405,132 +1950,124 @@ function connectStreamAPI() {
       const message = buffer.slice(0, index);
       buffer = buffer.slice(index + 2);
       try {
-        handleStreamMessage(JSON.parse(message));
+        const parsed = JSON.parse(message);
+        if (recorder && (parsed.op === "mcm" || parsed.op === "ocm"))
+          recorder.recordMessage(message, receivedAt);
+        handleStreamMessage(parsed);
       } catch (error) {
-        console.error(
-          chalk.red(
-            `Failed to parse stream message of length ${message.length}: ${error.message}`
-          )
+        log.stream.error(
+          `Failed to parse stream message of length ${message.length}: ${error.message}`
         );
       }
     }
   });
   ws.on("error", (error) => {
-    console.error(chalk.red(`Stream API error: ${error.message}`));
-    isSubscribed = false;
-    setTimeout(connectStreamAPI, 20000);
+    log.stream.error(`Stream API error: ${error.message}`);
+    markStreamDown();
+    scheduleReconnect();
   });
   ws.on("close", () => {
-    console.log(chalk.yellow("Stream API connection closed"));
-    isSubscribed = false;
-    setTimeout(connectStreamAPI, 20000);
+    log.stream.warn("Stream API connection closed");
+    markStreamDown();
+    scheduleReconnect();
   });
 }
 
 // Handle Stream API messages
 function handleStreamMessage(message) {
+  // Heartbeats (ct HEARTBEAT) carry no changes but keep the watchdog and
+  // latency current
+  if (message.pt) streamStats.latencyMs = clock.now() - message.pt;
   if (message.op === "status" && message.statusCode === "SUCCESS") {
     if (!isAuthenticated) {
-      console.log(chalk.green("Authentication successful"));
+      log.stream.success("Authentication successful");
       isAuthenticated = true;
+      reconnectAttempts = 0;
+      streamStats.downSince = null;
     }
     subscribeToOpenMarkets();
+  } else if (message.op === "status" && message.statusCode === "FAILURE") {
+    log.stream.error(
+      `Stream API failure: ${message.errorCode} ${message.errorMessage || ""}`
+    );
+    if (isSessionError(message.errorCode)) {
+      // A successful re-login reconnects the stream with the new token
+      session
+        .relogin(`stream ${message.errorCode}`)
+        .catch((error) =>
+          log.stream.error(`Re-login failed: ${error.message}`)
+        );
+    }
   } else if (message.op === "mcm") {
-    message.mc?.forEach((mc) => {
+    // Merge deltas first so every check below sees the full market state
+    const cachedMarkets = applyMarketChangeMessage(marketCache, message);
+    message.mc?.forEach((mc, index) => {
       const marketId = mc.id;
+      if (enableSimulation && fillSimulator.orders[marketId])
+        simulateFills(marketId, !!mc.rc);
+      if (message.con || mc.con) conflatedMarkets.add(marketId);
+      else conflatedMarkets.delete(marketId);
       const game = gameHistoricalData[marketId];
       if (!game || !game.isOpen) return;
 
-      const isInPlay = mc.marketDefinition?.inPlay || false;
+      const market = cachedMarkets[index];
+      const definition = market.marketDefinition || {};
+      const isInPlay = definition.inPlay || false;
 
       // Skip score check for test betting; require score for live/simulated betting
       if (!testBetEnabled) {
-        const hasScore = !!mc.marketDefinition?.score;
+        const hasScore = !!definition.score;
         if (isInPlay && !hasScore) {
           game.isOpen = false;
-          console.log(
-            chalk.red(`Excluding market ${marketId} (in-play, no score data)`)
+          log.stream.warn(
+            `Excluding market ${marketId} (in-play, no score data)`
           );
           appendToNdjson(game.eventId || marketId, {
             type: "market_excluded",
             reason: "in-play_no_score",
             marketId,
-            timestamp: new Date().toISOString(),
+            timestamp: new Date(clock.now()).toISOString(),
           });
+          persistState();
           return;
         }
       }
 
       // Update odds with proper validation and logging
       if (mc.rc && isInPlay) {
-        console.log(
-          chalk.gray(
-            `Score data for market ${marketId}: ${JSON.stringify(
-              mc.marketDefinition?.score
-            )}`
-          )
+        log.stream.debug(
+          `Score data for market ${marketId}: ${JSON.stringify(
+            definition.score
+          )}`
         );
         mc.rc.forEach((runner) => {
-          const odds = runner.batb?.[0]?.[0];
-          console.log(
-            chalk.gray(
-              `Market ${marketId}, Runner ${runner.id}, Status: ${game.status}, Raw batb odds = ${odds}`
-            )
+          const odds = bestBackPrice(market, runner.id);
+          log.stream.debug(
+            `Market ${marketId}, Runner ${runner.id}, Status: ${game.status}, Best batb odds = ${odds}`
           );
           if (typeof odds !== "number" || isNaN(odds) || odds === 0) {
-            console.log(
-              chalk.yellow(
-                `No back offers available for market ${marketId}, runner ${runner.id}`
-              )
+            log.stream.debug(
+              `No back offers available for market ${marketId}, runner ${runner.id}`
             );
           } else if (odds <= 1) {
-            console.log(
-              chalk.yellow(
-                `Odds at minimum for market ${marketId}, runner ${runner.id}: ${odds}`
-              )
+            log.stream.debug(
+              `Odds at minimum for market ${marketId}, runner ${runner.id}: ${odds}`
             );
           } else {
             if (runner.id === game.selectionIdA) {
               game.currentOdds.pA = odds;
-              console.log(
-                chalk.gray(`Updated pA odds for ${marketId}: ${odds}`)
-              );
+              log.stream.debug(`Updated pA odds for ${marketId}: ${odds}`);
             } else if (runner.id === game.selectionIdB) {
               game.currentOdds.pB = odds;
-              console.log(
-                chalk.gray(`Updated pB odds for ${marketId}: ${odds}`)
-              );
+              log.stream.debug(`Updated pB odds for ${marketId}: ${odds}`);
             }
           }
         });
 
-        // Test betting logic: Place a bet if odds match testBetOdds
-        if (testBetEnabled && isInPlay && !testBetPlaced && !hasOpenBet) {
-          const oddsA = game.currentOdds.pA;
-          const oddsB = game.currentOdds.pB;
-          if (oddsA && Math.abs(oddsA - testBetOdds) <= testBetOddsTolerance) {
-            console.log(
-              chalk.cyan(
-                `Test bet triggered for market ${marketId}, Player A at odds ${oddsA}`
-              )
-            );
-            placeBet(marketId, game.selectionIdA, oddsA, true);
-          } else if (
-            oddsB &&
-            Math.abs(oddsB - testBetOdds) <= testBetOddsTolerance
-          ) {
-            console.log(
-              chalk.cyan(
-                `Test bet triggered for market ${marketId}, Player B at odds ${oddsB}`
-              )
-            );
-            placeBet(marketId, game.selectionIdB, oddsB, true);
-          }
-        }
-
         appendToNdjson(game.eventId || marketId, {
           type: "odds_update",
-          timestamp: new Date().toISOString(),
+          marketId,
+          timestamp: new Date(clock.now()).toISOString(),
           pA_odds:
             typeof game.currentOdds.pA === "number" &&
             !isNaN(game.currentOdds.pA) &&
@@ -544,10 +2081,43 @@ function handleStreamMessage(message) {
               ? game.currentOdds.pB
               : null,
         });
+        dispatchStrategyEvent({
+          type: "odds_update",
+          marketId,
+          game,
+          timestamp: new Date(clock.now()).toISOString(),
+        });
+        checkHedge(marketId);
+      }
+
+      if (definition.score) {
+        game.match = game.match || createMatchState();
+        const changes = updateMatchState(game.match, definition.score);
+        changes.forEach((change) => {
+          const event = {
+            type: "score_change",
+            marketId,
+            ...change,
+            timestamp: new Date(clock.now()).toISOString(),
+          };
+          appendToNdjson(game.eventId || marketId, event);
+          dispatchStrategyEvent({ ...event, game });
+          const scoreEvent =
+            game.bet &&
+            scoreEventFor(
+              change,
+              game.bet.selectionId === game.selectionIdA ? "home" : "away"
+            );
+          if (scoreEvent) checkHedge(marketId, scoreEvent);
+          if (change.change === "retirement")
+            log.stream.warn(
+              `Market ${marketId}: retirement (${change.side}), no new bets`
+            );
+        });
       }
 
-      if (mc.marketDefinition?.score && !testBetEnabled) {
-        game.sets = mc.marketDefinition.score.sets || [];
+      if (definition.score && !testBetEnabled) {
+        game.sets = definition.score.sets || [];
         if (
           game.sets.length >= 1 &&
           !game.hasFirstSetEnded &&
@@ -555,179 +2125,180 @@ function handleStreamMessage(message) {
         ) {
           game.hasFirstSetEnded = true;
           totalSetsCompleted++;
-          const set1 = game.sets[0];
-          const homeScore = set1.homeScore || 0;
-          const awayScore = set1.awayScore || 0;
-          const difference = Math.abs(homeScore - awayScore);
+          const { homeScore = 0, awayScore = 0 } = game.sets[0];
+          const { firstSetTiebreak, breakPointInLastGame, breaksAgainstLoser } =
+            firstSetConditions(game.match);
           const underdogOdds =
             homeScore > awayScore ? game.currentOdds.pB : game.currentOdds.pA;
-          console.log(
-            chalk.cyan(
-              `Market ${marketId}: Set 1 ended ${homeScore}-${awayScore}, Underdog Odds: ${underdogOdds}`
-            )
+          log.stream.info(
+            `Market ${marketId}: Set 1 ended ${homeScore}-${awayScore}${
+              firstSetTiebreak ? " (tiebreak)" : ""
+            }, Underdog Odds: ${underdogOdds}`
           );
-          if (difference <= 2 && underdogOdds >= 2) {
-            totalConditionsMet++;
-            if (!hasOpenBet) {
-              placeBet(
-                marketId,
-                homeScore > awayScore ? game.selectionIdB : game.selectionIdA,
-                underdogOdds
-              );
-              totalBetsPlaced++;
-            }
-          }
+          const event = {
+            type: "set_completed",
+            marketId,
+            set: 1,
+            homeScore,
+            awayScore,
+            underdogOdds,
+            tiebreak: firstSetTiebreak,
+            breakPointInLastGame,
+            breaksAgainstLoser,
+            timestamp: new Date(clock.now()).toISOString(),
+          };
+          const intents = collectIntents({ ...event, game });
+          appendToNdjson(game.eventId || marketId, {
+            ...event,
+            conditionMet: intents.length > 0,
+          });
+          if (intents.length > 0) totalConditionsMet++;
+          persistState();
+          placeFirstIntent(intents);
         }
       }
 
-      if (mc.marketDefinition?.status === "CLOSED") {
+      if (definition.status === "CLOSED") {
         game.isOpen = false;
         game.status = "ENDED";
         let pnl = 0;
         let outcome = "no_bet";
-        if (game.bet && mc.marketDefinition?.runners) {
-          const winningRunner = mc.marketDefinition.runners.find(
-            (r) => r.status === "WINNER"
-          );
+        const winningRunner = definition.runners?.find(
+          (r) => r.status === "WINNER"
+        );
+        if (winningRunner) rateMatch(game, winningRunner.id);
+        // Whatever was still unmatched lapses with the market
+        if (game.bet && !enableSimulation && !game.bet.complete)
+          settleMatchedPosition(marketId);
+        // Live bets are settled from the exchange's cleared orders, which
+        // report the actual profit and commission
+        const awaitingSettlement = !enableSimulation && game.bet?.size > 0;
+        if (game.bet?.size === 0) {
+          outcome = "unmatched";
+        } else if (awaitingSettlement) {
+          outcome = "settling";
+          pnl = null;
+        } else if (game.bet) {
           if (winningRunner) {
-            const isWin = winningRunner.id === game.bet.selectionId;
+            pnl = settlePosition(
+              hedgePosition(game.bet),
+              winningRunner.id === game.bet.selectionId,
+              game.bet.commissionRate ?? config.commissionRate
+            );
+            // A hedged position can win or lose whichever player won
+            const isWin = pnl > 0;
             outcome = isWin ? "win" : "lose";
-            if (isWin) {
-              pnl = (game.bet.price - 1) * game.bet.size * 0.95;
-              if (enableSimulation) simBalance += pnl + game.bet.size;
-              multiplier = 1;
-            } else {
-              pnl = -game.bet.size;
-              if (enableSimulation) simBalance -= game.bet.size;
-              multiplier *= 2;
-            }
-            console.log(
+            // The stake was already taken from the balance when the bet was placed
+            simBalance += pnl + game.bet.size;
+            log.orders.info(
               chalk[outcome === "win" ? "green" : "red"](
                 `Market ${marketId} closed, PNL: ${pnl.toFixed(2)} euros`
               )
             );
             appendToNdjson(game.eventId || marketId, {
               type: "bet_outcome",
-              mode: enableSimulation ? "simulated" : "live",
+              mode: "simulated",
               marketId,
               selectionId: game.bet.selectionId,
               outcome,
               pnl,
-              timestamp: new Date().toISOString(),
+              hedged: !!game.bet.lays?.length,
+              timestamp: new Date(clock.now()).toISOString(),
             });
+            recordSettlement(marketId, isWin, pnl);
           }
         }
         appendToNdjson(game.eventId || marketId, {
           type: "market_closed",
-          timestamp: new Date().toISOString(),
+          marketId,
+          winnerSelectionId: winningRunner?.id ?? null,
+          timestamp: new Date(clock.now()).toISOString(),
           outcome,
           pnl,
         });
-        console.log(chalk.blue(`Market ${marketId} closed`));
-        delete orderIds[marketId];
-        delete gameHistoricalData[marketId];
-        hasOpenBet = false;
-        testBetPlaced = false;
-      } else if (mc.marketDefinition?.inPlay) {
+        log.stream.info(`Market ${marketId} closed`);
+        dispatchStrategyEvent({
+          type: "market_closed",
+          marketId,
+          game,
+          winnerSelectionId: winningRunner?.id ?? null,
+          timestamp: new Date(clock.now()).toISOString(),
+        });
+        if (awaitingSettlement) {
+          persistState();
+          settleLiveMarket(marketId);
+        } else {
+          forgetMarket(marketId);
+        }
+      } else if (isInPlay) {
         game.status = "IN_PLAY";
       } else {
         game.status = "UPCOMING";
       }
     });
   } else if (message.op === "ocm") {
-    message.oc?.forEach((oc) => {
-      const marketId = oc.marketId;
-      const game = gameHistoricalData[marketId];
-      if (game && orderIds[marketId] && !enableSimulation) {
-        oc.or?.forEach((order) => {
-          if (
-            order.status === "EXECUTION_COMPLETE" &&
-            order.profit !== undefined &&
-            order.betId === orderIds[marketId]
-          ) {
-            const outcome = order.profit > 0 ? "win" : "lose";
-            const pnl = order.profit;
-            console.log(
-              chalk[outcome === "win" ? "green" : "red"](
-                `Market ${marketId} order settled, PNL: ${pnl.toFixed(2)} euros`
-              )
-            );
-            appendToNdjson(game.eventId || marketId, {
-              type: "bet_outcome",
-              mode: "live",
-              marketId,
-              selectionId: game.bet.selectionId,
-              outcome,
-              pnl,
-              timestamp: new Date().toISOString(),
-            });
-            multiplier = outcome === "win" ? 1 : multiplier * 2;
-            hasOpenBet = false;
-            testBetPlaced = false;
-            delete orderIds[marketId];
-          }
-        });
-      }
+    // Merge deltas first so order updates see the full order state
+    applyOrderChangeMessage(orderCache, message).forEach((uo) => {
+      const order = orderManager.applyUpdate(uo);
+      if (order) handleOrderUpdate(order);
     });
   }
 }
 
 // Main bot logic
 async function runBot() {
-  console.log(chalk.cyan("Starting Underdog Martingale bot"));
+  log.bot.info("Starting Underdog Martingale bot");
   if (testBetEnabled)
-    console.log(
-      chalk.yellow(
-        `Test betting enabled: Targeting odds ${testBetOdds} ±${testBetOddsTolerance}`
-      )
+    log.bot.warn(
+      `Test betting enabled: Targeting odds ${testBetOdds} ±${testBetOddsTolerance}`
     );
+  process.on("SIGUSR2", resetRiskHalt);
   if (!(await login())) return;
   setupHistoricalDataCollection();
+  restoreState();
+  loadPlayerRatings();
   const initialMarkets = await fetchOpenTennisMarkets();
-  if (initialMarkets.length === 0) {
-    console.error(chalk.red("No tennis markets found. Exiting."));
+  if (!initialMarkets || initialMarkets.length === 0) {
+    log.bot.error("No tennis markets found. Exiting.");
     return;
   }
-  const today = new Date();
+  await reconcileOpenBets(new Set(initialMarkets.map((m) => m.marketId)));
+  const today = new Date(clock.now());
   today.setHours(0, 0, 0, 0);
-  const tomorrow = new Date(today);
-  tomorrow.setDate(tomorrow.getDate() + 1);
 
-  initialMarkets.forEach((market) => {
-    const marketId = market.marketId;
-    const eventOpenDate = new Date(
-      market.event?.openDate || market.marketStartTime || new Date()
-    );
-    const isToday = true;
-    if (
-      !gameHistoricalData[marketId] &&
-      market.runners?.length >= 2 &&
-      isToday
-    ) {
-      gameHistoricalData[marketId] = {
-        isOpen: true,
-        marketId,
-        playerA: market.runners[0].runnerName || "Player A",
-        playerB: market.runners[1].runnerName || "Player B",
-        selectionIdA: market.runners[0].selectionId,
-        selectionIdB: market.runners[1].selectionId,
-        currentOdds: { pA: null, pB: null },
-        sets: [],
-        hasFirstSetEnded: false,
-        eventId: market.event?.id || marketId,
-        status: eventOpenDate > new Date() ? "UPCOMING" : "IN_PLAY",
-        eventOpenDate,
-      };
-      totalMarketsTracked++;
-    }
-  });
-  console.log(
-    chalk.cyan(
-      `Total markets tracked: ${Object.keys(gameHistoricalData).length}`
-    )
+  trackMarkets(initialMarkets);
+  persistState();
+  log.bot.info(
+    `Total markets tracked: ${Object.keys(gameHistoricalData).length}`
   );
   connectStreamAPI();
 
+  if (config.dashboard.enabled) {
+    dashboard = createDashboard(config.dashboard, {
+      view: dashboardView,
+      controls: dashboardControls,
+      log: log.dashboard.info,
+    });
+    await dashboard
+      .start()
+      .catch((error) =>
+        log.bot.error(`Dashboard failed to start: ${error.message}`)
+      );
+  }
+
+  if (config.discovery.intervalMs > 0)
+    setInterval(discoverMarkets, config.discovery.intervalMs);
+  if (!enableSimulation) setInterval(manageUnmatchedOrders, 1000);
+  else setInterval(manageSimulatedOrders, 1000);
+  setInterval(checkStreamHealth, 5000);
+  setInterval(checkStreamWatchdog, 1000);
+  // Time-in-play triggers fire without a price change
+  if (config.hedging.enabled)
+    setInterval(
+      () => Object.keys(gameHistoricalData).forEach((id) => checkHedge(id)),
+      1000
+    );
+
   setInterval(() => {
     const closeMarkets = Object.values(gameHistoricalData).filter(
       (game) =>
@@ -738,10 +2309,8 @@ async function runBot() {
         game.sets[0].awayScore !== undefined &&
         Math.max(game.sets[0].homeScore, game.sets[0].awayScore) >= 5
     );
-    console.log(
-      chalk.cyan(
-        `Number of markets with first set close to ending (>=5 games): ${closeMarkets.length}`
-      )
+    log.bot.info(
+      `Number of markets with first set close to ending (>=5 games): ${closeMarkets.length}`
     );
     if (closeMarkets.length > 0) {
       const top3 = closeMarkets
@@ -754,17 +2323,15 @@ async function runBot() {
           return diffB - diffA;
         })
         .slice(0, 3);
-      console.log(chalk.cyan("Top 3 markets close to ending first set:"));
+      log.bot.info("Top 3 markets close to ending first set:");
       top3.forEach((game) => {
         const set1 = game.sets[0];
-        console.log(
-          chalk.cyan(
-            `Market ${game.marketId}: Set 1 ${game.playerA} ${set1.homeScore}-${
-              set1.awayScore
-            } ${game.playerB}, Odds ${game.currentOdds.pA || "N/A"}-${
-              game.currentOdds.pB || "N/A"
-            }`
-          )
+        log.bot.info(
+          `Market ${game.marketId}: Set 1 ${game.playerA} ${set1.homeScore}-${
+            set1.awayScore
+          } ${game.playerB}, Odds ${game.currentOdds.pA || "N/A"}-${
+            game.currentOdds.pB || "N/A"
+          }`
         );
       });
     }
@@ -779,41 +2346,135 @@ async function runBot() {
       (game) => game.status === "ENDED"
     ).length;
 
-    console.log(
-      chalk.cyan(
-        `Today's (${today.toISOString().split("T")[0]}) Tennis Match Schedule:`
-      )
+    log.bot.info(
+      `Today's (${today.toISOString().split("T")[0]}) Tennis Match Schedule:`
     );
-    console.log(
-      chalk.cyan(
-        `Total: ${
-          Object.keys(gameHistoricalData).length
-        }, Upcoming: ${upcomingMarkets}, In-Play: ${inPlayMarkets}, Ended: ${endedMarkets}`
-      )
+    log.bot.info(
+      `Total: ${
+        Object.keys(gameHistoricalData).length
+      }, Upcoming: ${upcomingMarkets}, In-Play: ${inPlayMarkets}, Ended: ${endedMarkets}`
     );
-    console.log(
-      chalk.yellow(
-        "Note: Counts reflect markets available via Betfair API; actual schedules may include additional matches."
-      )
+    log.bot.warn(
+      "Note: Counts reflect markets available via Betfair API; actual schedules may include additional matches."
     );
 
-    console.log(chalk.cyan(`Total markets tracked: ${totalMarketsTracked}`));
-    console.log(chalk.cyan(`Total sets completed: ${totalSetsCompleted}`));
-    console.log(
-      chalk.cyan(`Total times betting condition met: ${totalConditionsMet}`)
+    log.bot.info(`Total markets tracked: ${totalMarketsTracked}`);
+    log.bot.info(`Total sets completed: ${totalSetsCompleted}`);
+    log.bot.info(`Total times betting condition met: ${totalConditionsMet}`);
+    log.bot.info(`Total bets placed: ${totalBetsPlaced}`);
+    positionBook.sequences.forEach((sequence) =>
+      log.bot.info(
+        `Sequence ${sequence.id}: ${
+          sequence.marketId
+            ? `open on market ${
+                sequence.marketId
+              }, exposure ${sequence.exposure.toFixed(2)}`
+            : "free"
+        }, ${positionBook.plan} ${JSON.stringify(sequence.staking.state())}`
+      )
     );
-    console.log(chalk.cyan(`Total bets placed: ${totalBetsPlaced}`));
   }, 300000);
 
   setInterval(() => {
     if (!hasPlacedBet) {
-      const elapsed = Math.floor((new Date() - startTime) / 60000);
-      console.log(
-        chalk.yellow(`Elapsed time without betting: ${elapsed} minutes`)
-      );
+      const elapsed = Math.floor((new Date(clock.now()) - startTime) / 60000);
+      log.bot.warn(`Elapsed time without betting: ${elapsed} minutes`);
     }
   }, 300000);
 }
 
+// Track replayed markets that no recorded catalogue brought in, as with
+// Betfair's historical data, from their market definitions
+function trackReplayedMarkets(message, seenMarkets) {
+  const catalogue = (message.mc || [])
+    .filter((mc) => mc.marketDefinition && !seenMarkets.has(mc.id))
+    .map((mc) => {
+      seenMarkets.add(mc.id);
+      return gameHistoricalData[mc.id]
+        ? null
+        : catalogueEntry(mc.id, mc.marketDefinition);
+    })
+    .filter(Boolean);
+  if (catalogue.length > 0) trackMarkets(catalogue);
+}
+
+// Feed recorded stream data through the bot as if it arrived from the
+// stream, at full speed or replay.speed times real time, in simulation and
+// without a connection to Betfair
+async function runReplay() {
+  const { files, speed } = config.replay;
+  log.bot.info(
+    `Replaying ${files.join(", ")} ${
+      speed ? `at ${speed}x real time` : "at full speed"
+    } into ${gamesDir}`
+  );
+  setupHistoricalDataCollection();
+  loadPlayerRatings();
+  // Where the replayed time stands, and when it got there
+  let position = null;
+  clock.now = () =>
+    position
+      ? position.time + (Date.now() - position.wallTime) * speed
+      : Date.now();
+  isAuthenticated = true;
+  streamStats.connected = true;
+  streamStats.downSince = null;
+  // Try simulated orders at the times the bet delay timer and the unmatched
+  // order check would have fired between two records
+  const runReplayTimers = (until) => {
+    for (
+      let due = fillSimulator.nextUpdateAt();
+      due !== null && due <= until;
+      due = fillSimulator.nextUpdateAt()
+    ) {
+      position = { time: Math.max(due, position.time), wallTime: Date.now() };
+      manageSimulatedOrders();
+    }
+  };
+  const seenMarkets = new Set();
+  let records = 0;
+  let skippedLines = 0;
+  try {
+    for await (const record of readRecords(files, {
+      onSkip: () => skippedLines++,
+    })) {
+      if (speed && position) {
+        const wait = (record.receivedAt - clock.now()) / speed;
+        if (wait > 0) await new Promise((resolve) => setTimeout(resolve, wait));
+      }
+      runReplayTimers(record.receivedAt);
+      position = { time: record.receivedAt, wallTime: Date.now() };
+      streamStats.lastMessageAt = new Date(record.receivedAt).toISOString();
+      records++;
+      if (record.catalogue) {
+        record.catalogue.forEach((market) => seenMarkets.add(market.marketId));
+        trackMarkets(record.catalogue);
+        continue;
+      }
+      if (record.message.op === "mcm")
+        trackReplayedMarkets(record.message, seenMarkets);
+      handleStreamMessage(record.message);
+    }
+    runReplayTimers(Infinity);
+  } catch (error) {
+    log.bot.error(`Replay failed: ${error.message}`);
+    process.exitCode = 1;
+  }
+  log.bot.info(
+    `Replayed ${records} records${
+      skippedLines ? `, skipped ${skippedLines} unreadable lines` : ""
+    }`
+  );
+  log.bot.info(`Total markets tracked: ${totalMarketsTracked}`);
+  log.bot.info(`Total sets completed: ${totalSetsCompleted}`);
+  log.bot.info(`Total times betting condition met: ${totalConditionsMet}`);
+  log.bot.info(`Total bets placed: ${totalBetsPlaced}`);
+  log.bot.info(
+    `Simulated balance: ${simBalance.toFixed(2)} (started at ${simulationBalance.toFixed(2)})`
+  );
+  logger.close();
+}
+
 // Start the bot
-runBot();
+if (replaying) runReplay();
+else runBot();
@@ -0,0 +1,482 @@
+const fs = require("fs");
+const path = require("path");
+const { matchTypes } = require("./discovery");
+const { builtins, isModulePath } = require("./strategyRegistry");
+const { planNames } = require("./staking");
+const { eventNames } = require("./notifier");
+const { levelNames } = require("./logger");
+const { scoreEventNames } = require("./hedging");
+
+// Every setting the bot understands, with its type, default and limits.
+// Nested settings use dotted keys ("risk.maxDailyLoss"). Each setting can be
+// overridden by the config file, by an environment variable named BOT_ plus
+// the key in upper snake case (BOT_BET_PERCENTAGE, BOT_RISK_MAX_DAILY_LOSS)
+// and by a command-line flag (--betPercentage=5 or --bet-percentage 5).
+const schema = {
+  enableSimulation: { type: "boolean", default: true },
+  useImpossibleOdds: { type: "boolean", default: true },
+  fixedBalance: { type: "number", default: 100, min: 0 },
+  simulationBalance: { type: "number", default: 100, min: 0 },
+  betPercentage: { type: "number", default: 10, min: 0, max: 100 },
+  strategies: { type: "array", default: ["firstSetUnderdog"] },
+  "staking.plan": { type: "string", default: "martingale", enum: planNames },
+  "staking.fixedStake": { type: "number", default: 2, min: 0 },
+  "staking.recoveryTarget": { type: "number", default: 0, min: 0 },
+  "staking.kellyFraction": { type: "number", default: 0.5, min: 0, max: 1 },
+  "staking.kellyProbability": { type: "number", default: 0, min: 0, max: 1 },
+  maxGameDifference: { type: "number", default: 2, min: 0, max: 7 },
+  minUnderdogOdds: { type: "number", default: 2, min: 1.01, max: 1000 },
+  firstSetTiebreak: {
+    type: "string",
+    default: "any",
+    enum: ["any", "required", "excluded"],
+  },
+  requireBreakPointInLastGame: { type: "boolean", default: false },
+  commissionRate: { type: "number", default: 0.05, min: 0, max: 1 },
+  testBetEnabled: { type: "boolean", default: true },
+  testBetOdds: { type: "number", default: 1.5, min: 1.01, max: 1000 },
+  testBetOddsTolerance: { type: "number", default: 1, min: 0 },
+  loginEndpoint: {
+    type: "string",
+    default: "https://identitysso.betfair.ro/api/login",
+  },
+  loginMode: {
+    type: "string",
+    default: "interactive",
+    enum: ["interactive", "certificate"],
+  },
+  certLoginEndpoint: {
+    type: "string",
+    default: "https://identitysso-cert.betfair.ro/api/certlogin",
+  },
+  certFile: { type: "string", default: "" },
+  keyFile: { type: "string", default: "" },
+  keepAliveEndpoint: {
+    type: "string",
+    default: "https://identitysso.betfair.ro/api/keepAlive",
+  },
+  keepAliveIntervalMs: { type: "number", default: 1800000, min: 0 },
+  apiEndpoint: {
+    type: "string",
+    default: "https://api.betfair.com/exchange/betting/rest/v1.0/",
+  },
+  streamHost: { type: "string", default: "stream-api.betfair.com" },
+  streamPort: { type: "number", default: 443, min: 1, max: 65535 },
+  streamTls: { type: "boolean", default: true },
+  streamRejectUnauthorized: { type: "boolean", default: true },
+  "stream.heartbeatMs": { type: "number", default: 5000, min: 500, max: 5000 },
+  "stream.conflateMs": { type: "number", default: 0, min: 0, max: 120000 },
+  "stream.idleTimeoutMs": { type: "number", default: 15000, min: 0 },
+  "stream.staleMs": { type: "number", default: 10000, min: 0 },
+  "stream.maxLatencyMs": { type: "number", default: 2000, min: 0 },
+  "stream.reconnectMinMs": { type: "number", default: 1000, min: 100 },
+  "stream.reconnectMaxMs": { type: "number", default: 60000, min: 100 },
+  maxMarketsPerSubscription: { type: "number", default: 10, min: 1 },
+  stateFile: { type: "string", default: "state.json" },
+  "orders.minStake": { type: "number", default: 1, min: 0.01 },
+  "orders.priceRounding": {
+    type: "string",
+    default: "down",
+    enum: ["down", "up", "nearest"],
+  },
+  "orders.unmatchedTimeoutMs": { type: "number", default: 60000, min: 0 },
+  "orders.chaseTicks": { type: "number", default: 0, min: 0 },
+  "orders.unmatchedAction": {
+    type: "string",
+    default: "cancel",
+    enum: ["cancel", "chase"],
+  },
+  "orders.maxChases": { type: "number", default: 3, min: 0 },
+  "orders.settlementRetryMs": { type: "number", default: 30000, min: 1000 },
+  "orders.settlementAttempts": { type: "number", default: 20, min: 1 },
+  "simulation.applyBetDelay": { type: "boolean", default: true },
+  "simulation.partialFills": { type: "boolean", default: true },
+  "simulation.liquidityShare": {
+    type: "number",
+    default: 1,
+    min: 0.01,
+    max: 1,
+  },
+  "simulation.commissionSource": {
+    type: "string",
+    default: "market",
+    enum: ["market", "config"],
+  },
+  "hedging.enabled": { type: "boolean", default: false },
+  "hedging.profitTargetPercent": { type: "number", default: 0, min: 0 },
+  "hedging.stopLossTicks": { type: "number", default: 0, min: 0 },
+  "hedging.scoreEvents": { type: "array", default: [], items: scoreEventNames },
+  "hedging.maxHoldMs": { type: "number", default: 0, min: 0 },
+  "hedging.retryMs": { type: "number", default: 5000, min: 0 },
+  "ratings.enabled": { type: "boolean", default: false },
+  "ratings.file": { type: "string", default: "ratings.json" },
+  "ratings.initialRating": { type: "number", default: 1500, min: 0 },
+  "ratings.kFactor": { type: "number", default: 32, min: 0 },
+  "ratings.minMatches": { type: "number", default: 5, min: 0 },
+  "ratings.requireEdge": { type: "boolean", default: false },
+  "ratings.minEdgePercent": { type: "number", default: 0, min: 0 },
+  "positions.maxOpen": { type: "number", default: 1, min: 1 },
+  "positions.bankroll": {
+    type: "string",
+    default: "shared",
+    enum: ["shared", "split"],
+  },
+  "discovery.intervalMs": { type: "number", default: 600000, min: 0 },
+  "discovery.startWindowPastHours": { type: "number", default: 0, min: 0 },
+  "discovery.startWindowFutureHours": { type: "number", default: 0, min: 0 },
+  "discovery.includeCompetitions": { type: "array", default: [] },
+  "discovery.excludeCompetitions": { type: "array", default: [] },
+  "discovery.includeMatchTypes": {
+    type: "array",
+    default: [],
+    items: matchTypes,
+  },
+  "discovery.excludeMatchTypes": {
+    type: "array",
+    default: [],
+    items: matchTypes,
+  },
+  "risk.maxMartingaleDepth": { type: "number", default: 0, min: 0 },
+  "risk.onMaxDepth": {
+    type: "string",
+    default: "halt",
+    enum: ["reset", "halt"],
+  },
+  "risk.maxStake": { type: "number", default: 0, min: 0 },
+  "risk.maxExposure": { type: "number", default: 0, min: 0 },
+  "risk.maxDailyLoss": { type: "number", default: 0, min: 0 },
+  "risk.dailyProfitTarget": { type: "number", default: 0, min: 0 },
+  "risk.maxBetsPerDay": { type: "number", default: 0, min: 0 },
+  "risk.minLiquidity": { type: "number", default: 0, min: 0 },
+  "dashboard.enabled": { type: "boolean", default: false },
+  "dashboard.host": { type: "string", default: "127.0.0.1" },
+  "dashboard.port": { type: "number", default: 8090, min: 0, max: 65535 },
+  "dashboard.token": { type: "string", default: "", secret: true },
+  "dashboard.statusIntervalMs": { type: "number", default: 2000, min: 100 },
+  "notifications.events": {
+    type: "array",
+    default: eventNames,
+    items: eventNames,
+  },
+  "notifications.dedupeMs": { type: "number", default: 300000, min: 0 },
+  "notifications.maxPerMinute": { type: "number", default: 20, min: 0 },
+  "notifications.multiplierThreshold": { type: "number", default: 8, min: 1 },
+  "notifications.streamDownMs": { type: "number", default: 120000, min: 0 },
+  "notifications.webhookUrl": { type: "string", default: "", secret: true },
+  "notifications.telegramUrl": { type: "string", default: "", secret: true },
+  "notifications.telegramChatId": { type: "string", default: "" },
+  "notifications.slackUrl": { type: "string", default: "", secret: true },
+  "notifications.discordUrl": { type: "string", default: "", secret: true },
+  "notifications.smtpHost": { type: "string", default: "" },
+  "notifications.smtpPort": {
+    type: "number",
+    default: 587,
+    min: 1,
+    max: 65535,
+  },
+  "notifications.smtpSecure": { type: "boolean", default: false },
+  "notifications.smtpUser": { type: "string", default: "" },
+  "notifications.smtpPassword": { type: "string", default: "", secret: true },
+  "notifications.smtpFrom": { type: "string", default: "" },
+  "notifications.smtpTo": { type: "array", default: [] },
+  "notifications.sinkModules": { type: "array", default: [] },
+  "logging.level": { type: "string", default: "info", enum: levelNames },
+  "logging.categoryLevels": { type: "object", default: {} },
+  "logging.file": { type: "string", default: "bot.log" },
+  "logging.maxSizeMb": { type: "number", default: 20, min: 0 },
+  "logging.retentionDays": { type: "number", default: 14, min: 0 },
+  "logging.auditFile": { type: "string", default: "audit.log" },
+  "recording.enabled": { type: "boolean", default: false },
+  "recording.dir": { type: "string", default: "recordings" },
+  "recording.flushIntervalMs": { type: "number", default: 5000, min: 0 },
+  "replay.files": { type: "array", default: [] },
+  "replay.speed": { type: "number", default: 0, min: 0 },
+  "replay.gamesDir": { type: "string", default: "replay" },
+};
+
+// Combinations of otherwise valid settings that make no sense together
+const rules = [
+  {
+    check: (c) => c.strategies.length > 0 || c.testBetEnabled,
+    message: "strategies must name at least one strategy",
+  },
+  {
+    check: (c) =>
+      c.strategies.every((name) => builtins[name] || isModulePath(name)),
+    message: `strategies entries must be ${Object.keys(builtins).join(
+      ", "
+    )} or the path of a strategy module`,
+  },
+  {
+    check: (c) => c.loginMode !== "certificate" || (c.certFile && c.keyFile),
+    message: "loginMode=certificate requires certFile and keyFile",
+  },
+  {
+    check: (c) => !(!c.enableSimulation && c.testBetEnabled),
+    message:
+      "testBetEnabled cannot be used in live mode (enableSimulation=false): test bets skip the score checks and would stake real money",
+  },
+  {
+    check: (c) => !(!c.streamTls && !c.streamRejectUnauthorized),
+    message: "streamRejectUnauthorized=false only applies when streamTls=true",
+  },
+  {
+    check: (c) =>
+      !c["stream.idleTimeoutMs"] ||
+      c["stream.idleTimeoutMs"] > c["stream.heartbeatMs"],
+    message:
+      "stream.idleTimeoutMs must be longer than stream.heartbeatMs (or 0 to turn the watchdog off)",
+  },
+  {
+    check: (c) => c["stream.reconnectMaxMs"] >= c["stream.reconnectMinMs"],
+    message: "stream.reconnectMaxMs must be at least stream.reconnectMinMs",
+  },
+  {
+    check: (c) =>
+      Object.values(c["logging.categoryLevels"]).every((level) =>
+        levelNames.includes(level)
+      ),
+    message: `logging.categoryLevels values must be ${levelNames.join(", ")}`,
+  },
+  {
+    check: (c) =>
+      !c["hedging.enabled"] ||
+      c["hedging.profitTargetPercent"] > 0 ||
+      c["hedging.stopLossTicks"] > 0 ||
+      c["hedging.scoreEvents"].length > 0 ||
+      c["hedging.maxHoldMs"] > 0,
+    message:
+      "hedging.enabled needs a trigger: profitTargetPercent, stopLossTicks, scoreEvents or maxHoldMs",
+  },
+  {
+    check: (c) => !c["ratings.requireEdge"] || c["ratings.enabled"],
+    message:
+      "ratings.requireEdge needs ratings.enabled: without ratings no bet has an edge",
+  },
+  {
+    check: (c) => c["replay.files"].length === 0 || c.enableSimulation,
+    message:
+      "replay.files requires enableSimulation: replayed markets can't take live orders",
+  },
+  {
+    check: (c) => c["replay.gamesDir"] !== "games",
+    message:
+      "replay.gamesDir must not be games, where the bot records live and simulated markets",
+  },
+  {
+    check: (c) => !(c.streamHost === schema.streamHost.default && !c.streamTls),
+    message: "The Betfair stream at stream-api.betfair.com requires streamTls",
+  },
+];
+
+// BOT_ plus the dotted key in upper snake case
+function envName(key) {
+  return (
+    "BOT_" +
+    key
+      .split(".")
+      .map((part) => part.replace(/([a-z0-9])([A-Z])/g, "$1_$2"))
+      .join("_")
+      .toUpperCase()
+  );
+}
+
+// Convert a raw value from the file, environment or command line
+function coerce(key, value, source) {
+  const spec = schema[key];
+  if (spec.type === "number") {
+    const number = typeof value === "number" ? value : Number(value);
+    if (typeof value === "boolean" || value === "" || isNaN(number))
+      throw new Error(`${key} from ${source} must be a number, got ${value}`);
+    return number;
+  }
+  if (spec.type === "boolean") {
+    if (typeof value === "boolean") return value;
+    if (value === "true" || value === "1") return true;
+    if (value === "false" || value === "0") return false;
+    throw new Error(
+      `${key} from ${source} must be true or false, got ${value}`
+    );
+  }
+  if (spec.type === "array") {
+    if (Array.isArray(value)) return value;
+    if (typeof value === "string")
+      return value
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean);
+    throw new Error(`${key} from ${source} must be a list`);
+  }
+  if (spec.type === "object") {
+    if (typeof value === "object" && value !== null) return value;
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      throw new Error(`${key} from ${source} must be a JSON value`);
+    }
+  }
+  if (typeof value !== "string")
+    throw new Error(`${key} from ${source} must be a string`);
+  return value;
+}
+
+// Flatten a nested config file object into dotted keys
+function flatten(object, prefix = "", result = {}) {
+  Object.entries(object).forEach(([name, value]) => {
+    const key = prefix + name;
+    if (
+      !schema[key] &&
+      value &&
+      typeof value === "object" &&
+      !Array.isArray(value)
+    ) {
+      flatten(value, `${key}.`, result);
+    } else {
+      result[key] = value;
+    }
+  });
+  return result;
+}
+
+// Split command-line arguments into the config path and setting overrides
+function parseArgs(argv) {
+  const overrides = {};
+  let configPath;
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--([^=]+)(?:=(.*))?$/);
+    if (!match) throw new Error(`Unexpected argument: ${argv[i]}`);
+    const key = match[1].replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+    let value = match[2];
+    if (value === undefined && schema[key]?.type === "array") {
+      // A list takes every value up to the next option
+      value = [];
+      while (argv[i + 1] !== undefined && !argv[i + 1].startsWith("--"))
+        value.push(argv[++i]);
+      if (value.length === 0)
+        throw new Error(`Missing value for --${match[1]}`);
+    } else if (value === undefined) {
+      const isFlag =
+        schema[key]?.type === "boolean" &&
+        (argv[i + 1] === undefined || argv[i + 1].startsWith("--"));
+      value = isFlag ? "true" : argv[++i];
+    }
+    if (key === "config") configPath = value;
+    else overrides[key] = value;
+  }
+  return { configPath, overrides };
+}
+
+// Build the effective configuration: defaults < file < environment < CLI
+function loadConfig({
+  argv = process.argv.slice(2),
+  env = process.env,
+  cwd = process.cwd(),
+} = {}) {
+  const errors = [];
+  const { configPath, overrides } = parseArgs(argv);
+  const filePath =
+    configPath || env.BOT_CONFIG || path.join(cwd, "config.json");
+  const flat = {};
+  const sources = {};
+  Object.entries(schema).forEach(([key, spec]) => {
+    flat[key] = spec.default;
+    sources[key] = "default";
+  });
+
+  const apply = (key, value, source) => {
+    if (!schema[key]) {
+      errors.push(`Unknown setting "${key}" in ${source}`);
+      return;
+    }
+    try {
+      flat[key] = coerce(key, value, source);
+      sources[key] = source;
+    } catch (error) {
+      errors.push(error.message);
+    }
+  };
+
+  let file = null;
+  if (fs.existsSync(filePath)) {
+    file = filePath;
+    try {
+      const content = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      Object.entries(flatten(content)).forEach(([key, value]) =>
+        apply(key, value, filePath)
+      );
+    } catch (error) {
+      errors.push(`Cannot read config file ${filePath}: ${error.message}`);
+    }
+  } else if (configPath || env.BOT_CONFIG) {
+    errors.push(`Config file ${filePath} does not exist`);
+  }
+  Object.keys(schema).forEach((key) => {
+    const name = envName(key);
+    if (env[name] !== undefined) apply(key, env[name], `env ${name}`);
+  });
+  Object.entries(overrides).forEach(([key, value]) =>
+    apply(key, value, `--${key}`)
+  );
+
+  Object.entries(schema).forEach(([key, spec]) => {
+    const value = flat[key];
+    if (spec.type !== "number") return;
+    if (spec.min !== undefined && value < spec.min)
+      errors.push(`${key} must be at least ${spec.min}, got ${value}`);
+    if (spec.max !== undefined && value > spec.max)
+      errors.push(`${key} must be at most ${spec.max}, got ${value}`);
+  });
+  Object.entries(schema).forEach(([key, spec]) => {
+    if (spec.enum && !spec.enum.includes(flat[key]))
+      errors.push(
+        `${key} must be one of ${spec.enum.join(", ")}, got ${flat[key]}`
+      );
+    if (spec.items)
+      flat[key]
+        .filter((item) => !spec.items.includes(item))
+        .forEach((item) =>
+          errors.push(
+            `${key} entries must be among ${spec.items.join(", ")}, got ${item}`
+          )
+        );
+  });
+  if (errors.length === 0) {
+    rules.forEach((rule) => {
+      if (!rule.check(flat)) errors.push(rule.message);
+    });
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration:\n  ${errors.join("\n  ")}`);
+  }
+
+  // Expand dotted keys into nested sections
+  const config = {};
+  Object.entries(flat).forEach(([key, value]) => {
+    const parts = key.split(".");
+    let target = config;
+    parts.slice(0, -1).forEach((part) => {
+      target[part] = target[part] || {};
+      target = target[part];
+    });
+    target[parts[parts.length - 1]] = value;
+  });
+  return { config, file, sources };
+}
+
+// A copy of the configuration fit for logging: secret settings that are set
+// read "(set)"
+function redact(config) {
+  const copy = JSON.parse(JSON.stringify(config));
+  Object.entries(schema).forEach(([key, spec]) => {
+    if (!spec.secret) return;
+    const parts = key.split(".");
+    const section = parts
+      .slice(0, -1)
+      .reduce((target, part) => target?.[part], copy);
+    const name = parts[parts.length - 1];
+    if (section?.[name]) section[name] = "(set)";
+  });
+  return copy;
+}
+
+module.exports = { schema, envName, loadConfig, redact };
@@ -0,0 +1,252 @@
+const http = require("http");
+const crypto = require("crypto");
+const chalk = require("chalk");
+const { WebSocketServer } = require("ws");
+
+// Local status dashboard: a web page, JSON endpoints and a WebSocket feed of
+// the bot's state, plus control endpoints that need the dashboard token.
+//
+//   GET  /                         live page
+//   GET  /api/status               connection, balance, staking, risk, totals
+//   GET  /api/markets              tracked markets with score and odds
+//   GET  /api/bets                 open bets
+//   GET  /api/pnl                  settled bet history
+//   POST /api/pause, /api/resume   stop or restart placing new bets
+//   POST /api/reset-multiplier     start every staking sequence over
+//   POST /api/markets/<id>/exclude stop betting on a market
+//   WS   /ws                       { type: "status", ... } snapshots and
+//                                  { type: "event", entry } ndjson entries
+//
+// Control requests send the token as "Authorization: Bearer <token>".
+// WebSocket upgrades from pages on another origin are refused.
+
+const page = `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Underdog bot</title>
+<style>
+  body { font-family: sans-serif; margin: 1em; background: #f6f6f6; }
+  table { border-collapse: collapse; margin-bottom: 1em; background: #fff; }
+  th, td { border: 1px solid #ccc; padding: 2px 8px; font-size: 13px; }
+  .bad { color: #b00; } .good { color: #070; }
+  #events { font: 12px monospace; white-space: pre; max-height: 300px;
+    overflow: auto; background: #fff; border: 1px solid #ccc; }
+</style>
+</head>
+<body>
+<h2>Underdog bot</h2>
+<div id="status"></div>
+<p>
+  Token <input id="token" type="password" size="30">
+  <button onclick="control('pause')">Pause</button>
+  <button onclick="control('resume')">Resume</button>
+  <button onclick="control('reset-multiplier')">Reset multiplier</button>
+  <span id="result"></span>
+</p>
+<h3>Staking sequences</h3><table id="sequences"></table>
+<h3>Open bets</h3><table id="bets"></table>
+<h3>Markets</h3><table id="markets"></table>
+<h3>PNL history</h3><table id="pnl"></table>
+<h3>Events</h3><div id="events"></div>
+<script>
+const $ = (id) => document.getElementById(id);
+$("token").value = localStorage.getItem("token") || "";
+$("token").onchange = () => localStorage.setItem("token", $("token").value);
+const esc = (v) => String(v ?? "").replace(/[&<>"]/g, (c) => "&#" + c.charCodeAt(0) + ";");
+function table(id, columns, rows) {
+  $(id).innerHTML = "<tr>" + columns.map((c) => "<th>" + esc(c[0]) + "</th>").join("") + "</tr>" +
+    rows.map((row) => "<tr>" + columns.map((c) => "<td>" + c[1](row) + "</td>").join("") + "</tr>").join("");
+}
+async function control(path) {
+  const res = await fetch("/api/" + path, { method: "POST",
+    headers: { Authorization: "Bearer " + $("token").value } });
+  $("result").textContent = res.ok ? path + " done" : "failed: " + res.status;
+  refresh();
+}
+function exclude(marketId) { control("markets/" + marketId + "/exclude"); }
+let markets = [];
+function showMarkets() {
+  table("markets", [["Market", (m) => esc(m.marketId)], ["Players", (m) => esc(m.players)],
+    ["Status", (m) => esc(m.status)], ["Score", (m) => esc(m.score)],
+    ["Odds", (m) => esc(m.odds.pA) + " / " + esc(m.odds.pB)],
+    ["", (m) => m.isOpen ? '<button onclick="exclude(\\'' + esc(m.marketId) + '\\')">Exclude</button>' : ""]], markets);
+}
+async function refresh() {
+  let bets, pnl;
+  [markets, bets, pnl] = await Promise.all(
+    ["markets", "bets", "pnl"].map((p) => fetch("/api/" + p).then((r) => r.json())));
+  table("bets", [["Market", (b) => esc(b.marketId)], ["Players", (b) => esc(b.players)],
+    ["Selection", (b) => esc(b.selectionId)], ["Size", (b) => esc(b.size)],
+    ["Price", (b) => esc(b.price)], ["Sequence", (b) => esc(b.sequence)]], bets);
+  showMarkets();
+  table("pnl", [["Time", (p) => esc(p.timestamp)], ["Market", (p) => esc(p.marketId)],
+    ["Outcome", (p) => esc(p.outcome)], ["PNL", (p) => esc(p.pnl.toFixed(2))],
+    ["Balance", (p) => esc(p.balance?.toFixed(2))]], pnl.slice(-50).reverse());
+}
+// Refetch at most once a second however many entries arrive
+let refreshTimer = null;
+function scheduleRefresh() {
+  if (refreshTimer) return;
+  refreshTimer = setTimeout(() => { refreshTimer = null; refresh(); }, 1000);
+}
+// Odds updates carry the new odds, so they need no refetch
+function applyOdds(entry) {
+  const market = markets.find((m) => m.marketId === entry.marketId);
+  if (!market) return;
+  market.odds = { pA: entry.pA_odds, pB: entry.pB_odds };
+  showMarkets();
+}
+function showStatus(s) {
+  $("status").innerHTML =
+    "Mode <b>" + esc(s.mode) + "</b>, betting " +
+    (s.paused ? '<b class="bad">paused</b>' : '<b class="good">active</b>') +
+    (s.risk.halted ? ', <b class="bad">halted: ' + esc(s.risk.haltReason) + "</b>" : "") +
+    "<br>Stream " + (s.stream.connected ? '<span class="good">connected</span>' : '<span class="bad">disconnected</span>') +
+    ", last message " + esc(s.stream.lastMessageAt) + ", reconnects " + esc(s.stream.reconnects) +
+    "<br>Balance " + esc(s.balance.toFixed(2)) + ", PNL today " + esc(s.risk.dailyPnl.toFixed(2)) +
+    ", markets " + esc(s.totals.totalMarketsTracked) + ", bets " + esc(s.totals.totalBetsPlaced);
+  table("sequences", [["Sequence", (q) => esc(q.id)], ["Market", (q) => esc(q.marketId)],
+    ["Exposure", (q) => esc(q.exposure.toFixed(2))], [s.plan, (q) => esc(JSON.stringify(q.staking))]], s.sequences);
+}
+function connect() {
+  const ws = new WebSocket((location.protocol === "https:" ? "wss://" : "ws://") + location.host + "/ws");
+  ws.onmessage = (message) => {
+    const data = JSON.parse(message.data);
+    if (data.type === "status") showStatus(data);
+    if (data.type === "event") {
+      $("events").textContent = JSON.stringify(data.entry) + "\\n" + $("events").textContent.slice(0, 20000);
+      if (data.entry.type === "odds_update") applyOdds(data.entry);
+      else scheduleRefresh();
+    }
+  };
+  ws.onclose = () => setTimeout(connect, 2000);
+}
+fetch("/api/status").then((r) => r.json()).then(showStatus);
+refresh();
+connect();
+</script>
+</body>
+</html>
+`;
+
+function sendJson(res, body, status = 200) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+// Constant-time comparison of the request's bearer token
+function authorized(req, token) {
+  const match = (req.headers.authorization || "").match(/^Bearer (.+)$/);
+  if (!match) return false;
+  const given = Buffer.from(match[1]);
+  const expected = Buffer.from(token);
+  return (
+    given.length === expected.length && crypto.timingSafeEqual(given, expected)
+  );
+}
+
+// Whether an Origin header names the host the request was sent to
+function sameOrigin(origin, host) {
+  try {
+    return new URL(origin).host === host;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Create the dashboard from the "dashboard" config section. view provides
+// status(), markets(), bets() and pnl(); controls provides pause(),
+// resume(), resetMultiplier() and excludeMarket(marketId), the last
+// returning false for an unknown market.
+function createDashboard(settings, { view, controls, log }) {
+  // Without a configured token a random one is made for this run
+  const token = settings.token || crypto.randomBytes(16).toString("hex");
+  let statusTimer = null;
+
+  const control = (req, res, action) => {
+    if (!authorized(req, token))
+      return sendJson(res, { error: "unauthorized" }, 401);
+    if (action() === false) return sendJson(res, { error: "not found" }, 404);
+    sendJson(res, { ok: true, status: view.status() });
+  };
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const exclude = url.pathname.match(/^\/api\/markets\/([^/]+)\/exclude$/);
+    if (req.method === "GET" && url.pathname === "/") {
+      res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+      return res.end(page);
+    }
+    if (req.method === "GET" && url.pathname === "/api/status")
+      return sendJson(res, view.status());
+    if (req.method === "GET" && url.pathname === "/api/markets")
+      return sendJson(res, view.markets());
+    if (req.method === "GET" && url.pathname === "/api/bets")
+      return sendJson(res, view.bets());
+    if (req.method === "GET" && url.pathname === "/api/pnl")
+      return sendJson(res, view.pnl());
+    if (req.method === "POST" && url.pathname === "/api/pause")
+      return control(req, res, controls.pause);
+    if (req.method === "POST" && url.pathname === "/api/resume")
+      return control(req, res, controls.resume);
+    if (req.method === "POST" && url.pathname === "/api/reset-multiplier")
+      return control(req, res, controls.resetMultiplier);
+    if (req.method === "POST" && exclude)
+      return control(req, res, () =>
+        controls.excludeMarket(decodeURIComponent(exclude[1]))
+      );
+    sendJson(res, { error: "not found" }, 404);
+  });
+
+  // Browsers always send Origin on WebSocket upgrades; refusing other
+  // origins keeps pages the operator visits from reading the feed
+  const wss = new WebSocketServer({
+    server,
+    path: "/ws",
+    verifyClient: ({ origin, req }) =>
+      !origin || sameOrigin(origin, req.headers.host),
+  });
+
+  const broadcast = (message) => {
+    const data = JSON.stringify(message);
+    wss.clients.forEach((client) => {
+      if (client.readyState === client.OPEN) client.send(data);
+    });
+  };
+
+  // Push an ndjson entry to the open pages
+  const publish = (entry) => {
+    if (wss.clients.size > 0) broadcast({ type: "event", entry });
+  };
+
+  const start = () =>
+    new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(settings.port, settings.host, () => {
+        const { port } = server.address();
+        log(`Dashboard on http://${settings.host}:${port}/`);
+        // Written straight to the terminal: the bot sends console.log to
+        // its log files, where the token must not end up
+        if (!settings.token)
+          process.stdout.write(
+            chalk.yellow(`Dashboard control token: ${token}`) + "\n"
+          );
+        statusTimer = setInterval(() => {
+          if (wss.clients.size > 0)
+            broadcast({ type: "status", ...view.status() });
+        }, settings.statusIntervalMs);
+        resolve(port);
+      });
+    });
+
+  const close = () => {
+    clearInterval(statusTimer);
+    wss.clients.forEach((client) => client.terminate());
+    return new Promise((resolve) => server.close(resolve));
+  };
+
+  return { start, close, publish };
+}
+
+module.exports = { createDashboard };
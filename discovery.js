@@ -0,0 +1,82 @@
+// Market discovery filters: start-time window, competitions and match types
+
+const matchTypes = ["ATP", "WTA", "Challenger", "ITF", "Doubles", "Other"];
+
+const hour = 60 * 60 * 1000;
+
+// listMarketCatalogue filter for the configured start-time window
+function catalogueFilter(settings, now = new Date()) {
+  const filter = { eventTypeIds: ["2"], marketTypeCodes: ["MATCH_ODDS"] };
+  if (settings.startWindowPastHours || settings.startWindowFutureHours) {
+    filter.marketStartTime = {};
+    if (settings.startWindowPastHours)
+      filter.marketStartTime.from = new Date(
+        now.getTime() - settings.startWindowPastHours * hour
+      ).toISOString();
+    if (settings.startWindowFutureHours)
+      filter.marketStartTime.to = new Date(
+        now.getTime() + settings.startWindowFutureHours * hour
+      ).toISOString();
+  }
+  return filter;
+}
+
+// Match types of a catalogue market, from its competition, event and runners
+function classifyMatch(market) {
+  const competition = market.competition?.name || "";
+  const names = [
+    market.event?.name || "",
+    ...(market.runners || []).map((r) => r.runnerName || ""),
+  ];
+  const types = [];
+  if (/\bITF\b/i.test(competition)) types.push("ITF");
+  else if (/challenger/i.test(competition)) types.push("Challenger");
+  else if (/\bWTA\b/i.test(competition)) types.push("WTA");
+  else if (/\bATP\b/i.test(competition)) types.push("ATP");
+  else types.push("Other");
+  if (/doubles/i.test(competition) || names.some((name) => name.includes("/")))
+    types.push("Doubles");
+  return types;
+}
+
+function matchesAny(text, patterns) {
+  const lower = text.toLowerCase();
+  return patterns.some((pattern) => lower.includes(pattern.toLowerCase()));
+}
+
+// Decide whether a catalogue market should be tracked; returns the reason
+// it was skipped, or null when it passes every filter
+function skipReason(market, settings, now = new Date()) {
+  const start = new Date(
+    market.marketStartTime || market.event?.openDate || now
+  );
+  if (
+    settings.startWindowPastHours &&
+    start < now - settings.startWindowPastHours * hour
+  )
+    return "started_too_long_ago";
+  if (
+    settings.startWindowFutureHours &&
+    start > now.getTime() + settings.startWindowFutureHours * hour
+  )
+    return "starts_too_late";
+  const competition = market.competition?.name || "";
+  if (
+    settings.includeCompetitions.length > 0 &&
+    !matchesAny(competition, settings.includeCompetitions)
+  )
+    return "competition_not_included";
+  if (matchesAny(competition, settings.excludeCompetitions))
+    return "competition_excluded";
+  const types = classifyMatch(market);
+  if (
+    settings.includeMatchTypes.length > 0 &&
+    !types.some((type) => settings.includeMatchTypes.includes(type))
+  )
+    return "match_type_not_included";
+  if (types.some((type) => settings.excludeMatchTypes.includes(type)))
+    return "match_type_excluded";
+  return null;
+}
+
+module.exports = { matchTypes, catalogueFilter, classifyMatch, skipReason };
@@ -0,0 +1,177 @@
+const { ladderLevels, getRunner } = require("./marketCache");
+
+// Order matching for simulation mode, from the cached market data. A back
+// order placed in-play first waits out the market's bet delay, then matches
+// against the available-to-back ladder at its price or better, best price
+// first, taking at most liquidityShare of each level. Whatever is left
+// stays unmatched and is tried again whenever the market's prices change;
+// it lapses when the market is suspended or closed, and is cancelled after
+// unmatchedTimeoutMs. Without partialFills an order matches in full or not
+// at all. Lay orders (hedges) match against the available-to-lay ladder at
+// their price or lower and, being fill-or-kill, cancel whatever did not
+// match at once.
+
+const cents = (value) => Math.round(value * 100) / 100;
+
+// Size and average price an order of the given size would match now
+function matchOrder(
+  market,
+  { selectionId, side = "BACK", price, size },
+  liquidityShare = 1
+) {
+  let matched = 0;
+  let value = 0;
+  ladderLevels(getRunner(market, selectionId), side === "LAY" ? "batl" : "batb")
+    .filter(([levelPrice]) =>
+      side === "LAY" ? levelPrice <= price : levelPrice >= price
+    )
+    .forEach(([levelPrice, levelSize]) => {
+      const take = Math.min(size - matched, cents(levelSize * liquidityShare));
+      if (take <= 0) return;
+      matched = cents(matched + take);
+      value += take * levelPrice;
+    });
+  return { size: matched, averagePrice: matched > 0 ? value / matched : null };
+}
+
+// Create the simulator from the "simulation" config section;
+// unmatchedTimeoutMs comes from the "orders" section, as for live orders
+function createFillSimulator(
+  settings,
+  { unmatchedTimeoutMs = 0, now = () => Date.now() } = {}
+) {
+  // One order per market, as the bot holds at most one bet on a market
+  const orders = {};
+
+  // The bet delay in milliseconds an order placed now would wait
+  const betDelayMs = (market) => {
+    const definition = market?.marketDefinition;
+    if (!settings.applyBetDelay || !definition?.inPlay) return 0;
+    return (definition.betDelay || 0) * 1000;
+  };
+
+  // Commission on the market's winnings: its marketBaseRate (a
+  // percentage) or the configured rate
+  const commissionRate = (market, configuredRate) => {
+    const baseRate = market?.marketDefinition?.marketBaseRate;
+    return settings.commissionSource === "market" &&
+      typeof baseRate === "number"
+      ? baseRate / 100
+      : configuredRate;
+  };
+
+  const place = (
+    { marketId, selectionId, side = "BACK", price, size, fillOrKill = false },
+    market
+  ) => {
+    orders[marketId] = {
+      marketId,
+      selectionId,
+      side,
+      fillOrKill,
+      price,
+      size,
+      sizeMatched: 0,
+      sizeRemaining: size,
+      sizeLapsed: 0,
+      sizeCancelled: 0,
+      averagePriceMatched: null,
+      tried: false,
+      placedAt: now(),
+      activeAt: now() + betDelayMs(market),
+    };
+    return orders[marketId];
+  };
+
+  // Match, lapse or cancel what is left of a market's order given the
+  // market's current state; after the first attempt the ladder is only
+  // matched again when pricesChanged. Returns { order, matched, done } when
+  // something changed, or null.
+  const update = (marketId, market, pricesChanged) => {
+    const order = orders[marketId];
+    if (!order || order.sizeRemaining <= 0) return null;
+    // A suspension during the bet delay lapses the order as well
+    const status = market?.marketDefinition?.status;
+    if (status && status !== "OPEN") {
+      order.sizeLapsed = order.sizeRemaining;
+      order.sizeRemaining = 0;
+      return { order, matched: 0, done: true };
+    }
+    if (now() < order.activeAt) return null;
+    const match =
+      !order.tried || pricesChanged
+        ? matchOrder(
+            market,
+            { ...order, size: order.sizeRemaining },
+            settings.liquidityShare
+          )
+        : { size: 0 };
+    order.tried = true;
+    const fills =
+      match.size > 0 &&
+      (settings.partialFills || match.size >= order.sizeRemaining);
+    if (fills) {
+      const value =
+        order.sizeMatched * (order.averagePriceMatched || 0) +
+        match.size * match.averagePrice;
+      order.sizeMatched = cents(order.sizeMatched + match.size);
+      order.sizeRemaining = cents(order.sizeRemaining - match.size);
+      order.averagePriceMatched = value / order.sizeMatched;
+    }
+    if (
+      order.sizeRemaining > 0 &&
+      (order.fillOrKill ||
+        (unmatchedTimeoutMs && now() - order.placedAt >= unmatchedTimeoutMs))
+    ) {
+      order.sizeCancelled = order.sizeRemaining;
+      order.sizeRemaining = 0;
+      return { order, matched: fills ? match.size : 0, done: true };
+    }
+    if (!fills) return null;
+    return { order, matched: match.size, done: order.sizeRemaining <= 0 };
+  };
+
+  // The earliest time an order needs an update without a price change: the
+  // end of its bet delay, then its unmatched timeout. Null when none does.
+  const nextUpdateAt = () =>
+    Object.values(orders)
+      .filter((order) => order.sizeRemaining > 0)
+      .map((order) => {
+        if (!order.tried) return order.activeAt;
+        return unmatchedTimeoutMs ? order.placedAt + unmatchedTimeoutMs : null;
+      })
+      .reduce(
+        (earliest, time) =>
+          time !== null && (earliest === null || time < earliest)
+            ? time
+            : earliest,
+        null
+      );
+
+  // Markets with an order still waiting to be matched
+  const pendingMarkets = () =>
+    Object.keys(orders).filter(
+      (marketId) => orders[marketId].sizeRemaining > 0
+    );
+
+  const remove = (marketId) => {
+    delete orders[marketId];
+  };
+
+  // Restore the orders saved before a restart
+  const restoreState = (saved = {}) => Object.assign(orders, saved);
+
+  return {
+    orders,
+    betDelayMs,
+    commissionRate,
+    place,
+    update,
+    nextUpdateAt,
+    pendingMarkets,
+    remove,
+    restoreState,
+  };
+}
+
+module.exports = { matchOrder, createFillSimulator };
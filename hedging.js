@@ -0,0 +1,90 @@
+const { ticksBetween } = require("./prices");
+
+// Trading out of a matched back bet. A position is the back bet plus the lay
+// bets placed against it on the same runner, { back: { size, price },
+// lays: [{ size, price }] }. Laying (backSize * backPrice - sum of laySize *
+// layPrice) / p more at lay price p makes the position pay the same
+// whichever player wins: the green-up. It is placed when a trigger in the
+// "hedging" config section fires: the green-up profit reaching
+// profitTargetPercent of the back stake, the lay price drifting
+// stopLossTicks above the back price, a score event for the backed player
+// listed in scoreEvents, or the bet having been matched for maxHoldMs.
+
+const scoreEventNames = ["break_won", "break_lost", "set_won", "set_lost"];
+
+// Gross profit of a position if the backed runner wins and if it loses
+function positionProfit({ back, lays = [] }) {
+  return {
+    ifWin:
+      (back.price - 1) * back.size -
+      lays.reduce((sum, lay) => sum + (lay.price - 1) * lay.size, 0),
+    ifLose: -back.size + lays.reduce((sum, lay) => sum + lay.size, 0),
+  };
+}
+
+// Lay stake at layPrice that evens out the position's two outcomes; zero or
+// less when it is already hedged
+function greenUpStake({ back, lays = [] }, layPrice) {
+  return (
+    (back.size * back.price -
+      lays.reduce((sum, lay) => sum + lay.size * lay.price, 0)) /
+    layPrice
+  );
+}
+
+// Profit on either outcome after greening up at layPrice
+function greenUpProfit(position, layPrice) {
+  return positionProfit(position).ifLose + greenUpStake(position, layPrice);
+}
+
+// Profit or loss of a settled position, commission charged on the market's
+// net winnings only
+function settlePosition(position, isWin, commissionRate) {
+  const { ifWin, ifLose } = positionProfit(position);
+  const gross = isWin ? ifWin : ifLose;
+  return gross > 0 ? gross * (1 - commissionRate) : gross;
+}
+
+// The score event a tennisScore change means for the backed player ("home"
+// or "away"), or null
+function scoreEventFor(change, backedSide) {
+  if (change.change === "game_won" && change.isBreak)
+    return change.winner === backedSide ? "break_won" : "break_lost";
+  if (change.change === "set_completed")
+    return change.winner === backedSide ? "set_won" : "set_lost";
+  return null;
+}
+
+// The trigger that calls for a hedge now, or null. scoreEvent is the score
+// event that just happened, if any; matchedAt and now are in milliseconds.
+function hedgeTrigger(
+  settings,
+  { position, layPrice, scoreEvent, matchedAt, now }
+) {
+  if (scoreEvent && settings.scoreEvents.includes(scoreEvent))
+    return scoreEvent;
+  if (
+    settings.profitTargetPercent &&
+    greenUpProfit(position, layPrice) >=
+      (position.back.size * settings.profitTargetPercent) / 100
+  )
+    return "profit_target";
+  if (
+    settings.stopLossTicks &&
+    ticksBetween(position.back.price, layPrice) >= settings.stopLossTicks
+  )
+    return "stop_loss";
+  if (settings.maxHoldMs && now - matchedAt >= settings.maxHoldMs)
+    return "time_in_play";
+  return null;
+}
+
+module.exports = {
+  scoreEventNames,
+  positionProfit,
+  greenUpStake,
+  greenUpProfit,
+  settlePosition,
+  scoreEventFor,
+  hedgeTrigger,
+};
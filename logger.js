@@ -0,0 +1,171 @@
+const fs = require("fs");
+const path = require("path");
+const util = require("util");
+const chalk = require("chalk");
+
+// Leveled logging by category. Every entry at or above the category's level
+// is written to the log file as a JSON line { timestamp, level, category,
+// message, ...fields } and printed to the console. The file is rotated when
+// it passes maxSizeMb or the UTC day changes: bot.log is renamed to
+// bot-<day>.log (bot-<day>.1.log and so on when a day has several), and
+// rotated files older than retentionDays are deleted.
+
+const levels = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Console colours; success is an info entry printed in green
+const colours = {
+  debug: chalk.gray,
+  info: chalk.cyan,
+  success: chalk.green,
+  warn: chalk.yellow,
+  error: chalk.red,
+};
+
+const day = (time) => new Date(time).toISOString().slice(0, 10);
+
+// A log file that renames itself aside when it gets too big or too old.
+// Lines are written synchronously so nothing is lost on exit.
+function createRotatingFile(
+  file,
+  { maxSizeMb, retentionDays },
+  now = () => Date.now()
+) {
+  const { dir, name, ext } = path.parse(path.resolve(file));
+  const maxBytes = maxSizeMb * 1024 * 1024;
+  let fd = null;
+  let size = 0;
+  let openedDay = null;
+
+  const open = () => {
+    let stat = null;
+    try {
+      stat = fs.statSync(file);
+    } catch (error) {
+      // No log file yet
+    }
+    size = stat ? stat.size : 0;
+    openedDay = day(stat && stat.size > 0 ? stat.mtimeMs : now());
+    fd = fs.openSync(file, "a");
+  };
+
+  // Rotated files of this log with the day they were written
+  const rotatedFiles = () =>
+    fs.readdirSync(dir).flatMap((entry) => {
+      if (!entry.startsWith(`${name}-`) || !entry.endsWith(ext)) return [];
+      const match = entry
+        .slice(name.length + 1, entry.length - ext.length)
+        .match(/^(\d{4}-\d{2}-\d{2})(\.\d+)?$/);
+      return match ? [{ file: path.join(dir, entry), day: match[1] }] : [];
+    });
+
+  const prune = () => {
+    if (!retentionDays) return;
+    const oldest = day(now() - retentionDays * 86400000);
+    rotatedFiles()
+      .filter((rotated) => rotated.day < oldest)
+      .forEach((rotated) => fs.unlinkSync(rotated.file));
+  };
+
+  const rotate = () => {
+    fs.closeSync(fd);
+    let target = path.join(dir, `${name}-${openedDay}${ext}`);
+    for (let n = 1; fs.existsSync(target); n++)
+      target = path.join(dir, `${name}-${openedDay}.${n}${ext}`);
+    fs.renameSync(file, target);
+    prune();
+    open();
+  };
+
+  const write = (line) => {
+    if (fd === null) {
+      open();
+      prune();
+    }
+    if (
+      size > 0 &&
+      ((maxBytes && size + Buffer.byteLength(line) > maxBytes) ||
+        day(now()) !== openedDay)
+    )
+      rotate();
+    fs.writeSync(fd, line);
+    size += Buffer.byteLength(line);
+  };
+
+  const close = () => {
+    if (fd !== null) fs.closeSync(fd);
+    fd = null;
+  };
+
+  return { write, close };
+}
+
+// Create the logger from the "logging" config section. category(name)
+// returns { debug, info, success, warn, error }, each taking a message and
+// optional fields for the JSON line.
+function createLogger(settings, { now = () => Date.now() } = {}) {
+  const file = settings.file
+    ? createRotatingFile(settings.file, settings, now)
+    : null;
+  // Kept so the bot can redirect console.log and console.error here
+  const print = { log: console.log, error: console.error };
+
+  const write = (category, level, message, fields = {}) => {
+    const threshold =
+      levels[settings.categoryLevels[category] || settings.level];
+    const rank = levels[level === "success" ? "info" : level];
+    if (rank < threshold) return;
+    (rank >= levels.warn ? print.error : print.log)(colours[level](message));
+    if (!file) return;
+    try {
+      file.write(
+        JSON.stringify({
+          timestamp: new Date(now()).toISOString(),
+          level: level === "success" ? "info" : level,
+          category,
+          message: util.stripVTControlCharacters(message),
+          ...fields,
+        }) + "\n"
+      );
+    } catch (error) {
+      print.error(chalk.red(`Failed to write ${settings.file}: ${error}`));
+    }
+  };
+
+  const category = (name) => ({
+    debug: (message, fields) => write(name, "debug", message, fields),
+    info: (message, fields) => write(name, "info", message, fields),
+    success: (message, fields) => write(name, "success", message, fields),
+    warn: (message, fields) => write(name, "warn", message, fields),
+    error: (message, fields) => write(name, "error", message, fields),
+  });
+
+  return { category, close: () => file && file.close() };
+}
+
+// Append-only record of order requests and responses, one JSON line each.
+// It is written synchronously and never rotated or pruned. A failed write
+// goes to onError rather than failing the order.
+function createAuditLog(
+  file,
+  { onError = () => {}, now = () => Date.now() } = {}
+) {
+  const record = (entry) => {
+    if (!file) return;
+    try {
+      fs.appendFileSync(
+        file,
+        JSON.stringify({ timestamp: new Date(now()).toISOString(), ...entry }) +
+          "\n"
+      );
+    } catch (error) {
+      onError(error);
+    }
+  };
+  return { record };
+}
+
+module.exports = {
+  levelNames: Object.keys(levels),
+  createLogger,
+  createAuditLog,
+};
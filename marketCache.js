@@ -0,0 +1,145 @@
+// Stream API market cache: merges mcm deltas into full market views
+
+// Ladders keyed by depth level: [level, price, size]
+const levelLadders = ["batb", "batl", "bdatb", "bdatl"];
+// Ladders keyed by price: [price, size]
+const priceLadders = ["atb", "atl", "trd", "spb", "spl"];
+// Plain values that replace the cached value when present
+const runnerValues = ["ltp", "tv", "spn", "spf"];
+
+// Create an empty cache holding markets and per-subscription clocks
+function createMarketCache() {
+  return { markets: {}, clocks: {} };
+}
+
+function runnerKey(rc) {
+  return rc.hc ? `${rc.id}-${rc.hc}` : `${rc.id}`;
+}
+
+// Merge one ladder delta; a size of 0 removes the level or price
+function mergeLadder(ladder, updates, byLevel) {
+  updates.forEach((update) => {
+    const key = update[0];
+    const size = byLevel ? update[2] : update[1];
+    if (size === 0) delete ladder[key];
+    else ladder[key] = byLevel ? [update[1], size] : size;
+  });
+}
+
+// Apply a runner change to the cached runner
+function applyRunnerChange(market, rc, isImage) {
+  const key = runnerKey(rc);
+  if (isImage || !market.runners[key]) {
+    market.runners[key] = { id: rc.id, hc: rc.hc, ladders: {} };
+  }
+  const runner = market.runners[key];
+  levelLadders.forEach((name) => {
+    if (!rc[name]) return;
+    runner.ladders[name] = runner.ladders[name] || {};
+    mergeLadder(runner.ladders[name], rc[name], true);
+  });
+  priceLadders.forEach((name) => {
+    if (!rc[name]) return;
+    runner.ladders[name] = runner.ladders[name] || {};
+    mergeLadder(runner.ladders[name], rc[name], false);
+  });
+  runnerValues.forEach((name) => {
+    if (rc[name] !== undefined) runner[name] = rc[name];
+  });
+}
+
+// Apply a single market change (mc) and return the cached market
+function applyMarketChange(cache, mc, subscriptionId) {
+  if (mc.img || !cache.markets[mc.id]) {
+    cache.markets[mc.id] = {
+      id: mc.id,
+      subscriptionId,
+      marketDefinition: cache.markets[mc.id]?.marketDefinition || null,
+      runners: {},
+      tv: 0,
+      conflated: false,
+    };
+  }
+  const market = cache.markets[mc.id];
+  if (mc.marketDefinition) market.marketDefinition = mc.marketDefinition;
+  if (mc.tv !== undefined) market.tv = mc.tv;
+  market.conflated = !!mc.con;
+  mc.rc?.forEach((rc) => applyRunnerChange(market, rc, mc.img));
+  return market;
+}
+
+// Apply an mcm message: record its clocks and merge every market change
+function applyMarketChangeMessage(cache, message) {
+  const id = message.id;
+  cache.clocks[id] = cache.clocks[id] || {};
+  if (message.initialClk) cache.clocks[id].initialClk = message.initialClk;
+  if (message.clk) cache.clocks[id].clk = message.clk;
+  return (message.mc || []).map((mc) => applyMarketChange(cache, mc, id));
+}
+
+// Clocks to send when resubscribing so the stream resumes with a delta
+function subscriptionClocks(cache, subscriptionId) {
+  const clocks = cache.clocks[subscriptionId];
+  if (!clocks?.initialClk || !clocks?.clk) return {};
+  return { initialClk: clocks.initialClk, clk: clocks.clk };
+}
+
+// Forget the clocks so the next subscription starts from a fresh image
+function resetClocks(cache) {
+  cache.clocks = {};
+}
+
+function removeMarket(cache, marketId) {
+  delete cache.markets[marketId];
+}
+
+// Sorted [price, size] pairs of a runner's ladder, best level first
+function ladderLevels(runner, name) {
+  const ladder = runner?.ladders[name];
+  if (!ladder) return [];
+  if (levelLadders.includes(name)) {
+    return Object.keys(ladder)
+      .map(Number)
+      .sort((a, b) => a - b)
+      .map((level) => ladder[level]);
+  }
+  const prices = Object.keys(ladder).map(Number);
+  prices.sort((a, b) => (name === "atl" || name === "spl" ? a - b : b - a));
+  return prices.map((price) => [price, ladder[price]]);
+}
+
+function getRunner(market, selectionId, handicap) {
+  return market?.runners[runnerKey({ id: selectionId, hc: handicap })];
+}
+
+// Best available back price for a runner, or null when the ladder is empty
+function bestBackPrice(market, selectionId) {
+  const best = ladderLevels(getRunner(market, selectionId), "batb")[0];
+  return best ? best[0] : null;
+}
+
+// Best available lay price for a runner, or null when the ladder is empty
+function bestLayPrice(market, selectionId) {
+  const best = ladderLevels(getRunner(market, selectionId), "batl")[0];
+  return best ? best[0] : null;
+}
+
+// Size available to back at the given price or better
+function availableToBack(market, selectionId, price) {
+  return ladderLevels(getRunner(market, selectionId), "batb")
+    .filter(([levelPrice]) => levelPrice >= price)
+    .reduce((sum, [, size]) => sum + size, 0);
+}
+
+module.exports = {
+  createMarketCache,
+  applyMarketChangeMessage,
+  subscriptionClocks,
+  resetClocks,
+  removeMarket,
+  ladderLevels,
+  getRunner,
+  bestBackPrice,
+  bestLayPrice,
+  availableToBack,
+};
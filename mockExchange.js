@@ -0,0 +1,901 @@
+const http = require("http");
+const net = require("net");
+const tls = require("tls");
+const fs = require("fs");
+const chalk = require("chalk");
+const { isValidPrice, addTicks } = require("./prices");
+
+// Local stand-in for the Betfair login, betting REST and Stream APIs.
+// Point the bot at it with BOT_LOGIN_ENDPOINT, BOT_API_ENDPOINT,
+// BOT_STREAM_HOST, BOT_STREAM_PORT and BOT_STREAM_TLS.
+
+// Scenario used when no --scenario file is given: one match that goes
+// in-play, finishes the first set 6-4, matches open orders and closes
+const defaultScenario = {
+  markets: [
+    {
+      marketId: "1.100",
+      eventId: "900",
+      eventName: "Player A v Player B",
+      competition: "ATP Mock Open",
+      runners: [
+        { selectionId: 101, runnerName: "Player A" },
+        { selectionId: 102, runnerName: "Player B" },
+      ],
+      odds: { 101: 1.6, 102: 2.4 },
+    },
+  ],
+  steps: [
+    {
+      after: 500,
+      score: {
+        marketId: "1.100",
+        sets: [{ homeScore: 0, awayScore: 0, completed: false }],
+      },
+    },
+    { after: 0, inPlay: "1.100" },
+    {
+      after: 500,
+      score: {
+        marketId: "1.100",
+        sets: [{ homeScore: 3, awayScore: 2, completed: false }],
+      },
+    },
+    { after: 500, odds: { marketId: "1.100", 101: 1.4, 102: 3.1 } },
+    {
+      after: 500,
+      score: {
+        marketId: "1.100",
+        sets: [{ homeScore: 5, awayScore: 4, completed: false }],
+        server: "home",
+        points: { home: "30", away: "40" },
+      },
+    },
+    {
+      after: 500,
+      score: {
+        marketId: "1.100",
+        sets: [
+          { homeScore: 6, awayScore: 4, completed: true },
+          { homeScore: 0, awayScore: 0, completed: false },
+        ],
+        server: "away",
+        points: { home: "0", away: "0" },
+      },
+    },
+    { after: 1000, matchOrders: "1.100" },
+    { after: 1000, close: { marketId: "1.100", winner: 102 } },
+  ],
+};
+
+// Parse "--name value" and "--name=value" command-line options
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--([^=]+)(?:=(.*))?$/);
+    if (!match) throw new Error(`Unexpected argument: ${argv[i]}`);
+    const key = match[1].replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+    options[key] = match[2] !== undefined ? match[2] : argv[++i];
+  }
+  return options;
+}
+
+function apiError(res, errorCode, status = 400) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(
+    JSON.stringify({
+      faultcode: "Client",
+      faultstring: errorCode,
+      detail: { APINGException: { errorCode } },
+    })
+  );
+}
+
+function sendJson(res, body) {
+  res.writeHead(200, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+// Start the mock exchange; resolves once both servers are listening
+async function startMockExchange(options = {}) {
+  const scenario = options.scenario || defaultScenario;
+  const log = options.quiet
+    ? () => {}
+    : (text) => console.log(chalk.magenta(`[mock] ${text}`));
+  const minStake = options.minStake || 1;
+  const commissionRate = options.commissionRate ?? 0.05;
+  let token = options.token || "mock-session-token";
+  let tokenCount = 0;
+  const markets = {};
+  const orders = {};
+  const streams = new Set();
+  // Payloads posted to /webhook/..., standing in for notification services
+  const notifications = [];
+  const timers = [];
+  let nextBetId = 1000;
+  let clk = 0;
+  let stepsStarted = false;
+  // Set by the stall, lag and conflate steps: nothing is written until
+  // stalledUntil, publish times run publishLag behind and market changes
+  // are flagged as conflated
+  let stalledUntil = 0;
+  let publishLag = 0;
+  let conflated = false;
+
+  scenario.markets.forEach((m) => {
+    markets[m.marketId] = {
+      ...m,
+      odds: { ...m.odds },
+      definition: {
+        status: "OPEN",
+        inPlay: false,
+        betDelay: m.betDelay || 0,
+        marketBaseRate: m.marketBaseRate ?? 5,
+        runners: m.runners.map((r) => ({
+          id: r.selectionId,
+          status: "ACTIVE",
+        })),
+      },
+    };
+  });
+
+  const publishTime = () => Date.now() - publishLag;
+
+  // Write one CRLF-terminated message to a stream client, unless stalled
+  const send = (client, message) => {
+    if (Date.now() < stalledUntil) return;
+    client.lastSentAt = Date.now();
+    client.socket.write(JSON.stringify(message) + "\r\n");
+  };
+
+  // Write one message to every connected stream client
+  const broadcast = (message, predicate = () => true) => {
+    streams.forEach((client) => {
+      if (client.authenticated && predicate(client)) send(client, message);
+    });
+  };
+
+  const marketChange = (market, withDefinition, img = false) => ({
+    id: market.marketId,
+    img: img || undefined,
+    marketDefinition: withDefinition ? market.definition : undefined,
+    rc: market.runners.map((r) => ({
+      id: r.selectionId,
+      batb: market.odds[r.selectionId]
+        ? [[0, market.odds[r.selectionId], 100]]
+        : [[0, 0, 0]],
+      // The lay side is one tick above the back price
+      batl: market.odds[r.selectionId]
+        ? [[0, addTicks(market.odds[r.selectionId], 1), 100]]
+        : [[0, 0, 0]],
+    })),
+  });
+
+  const publishMarket = (market, withDefinition) => {
+    clk++;
+    broadcast(
+      {
+        op: "mcm",
+        clk: `${clk}`,
+        pt: publishTime(),
+        con: conflated || undefined,
+        mc: [marketChange(market, withDefinition)],
+      },
+      (client) => client.marketIds.has(market.marketId)
+    );
+  };
+
+  const cents = (value) => Math.round(value * 100) / 100;
+
+  const orderView = (order) => ({
+    id: order.betId,
+    p: order.price,
+    s: order.size,
+    side: order.side === "BACK" ? "B" : "L",
+    status: order.sizeRemaining > 0 ? "E" : "EC",
+    pt: "L",
+    ot: "L",
+    pd: order.placedDate,
+    md: order.matchedDate,
+    avp: order.sizeMatched > 0 ? order.price : undefined,
+    sm: order.sizeMatched,
+    sr: order.sizeRemaining,
+    sl: order.sizeLapsed || 0,
+    sc: order.sizeCancelled,
+    sv: 0,
+  });
+
+  // Matched size by price over a runner's orders on one side: [[price, size]]
+  const matchedLadder = (marketId, selectionId, side) => {
+    const ladder = {};
+    Object.values(orders)
+      .filter(
+        (o) =>
+          o.marketId === marketId &&
+          o.selectionId === selectionId &&
+          o.side === side &&
+          o.sizeMatched > 0
+      )
+      .forEach((o) => {
+        ladder[o.price] = cents((ladder[o.price] || 0) + o.sizeMatched);
+      });
+    return Object.entries(ladder).map(([price, size]) => [Number(price), size]);
+  };
+
+  const runnerOrderChange = (marketId, selectionId, runnerOrders) => ({
+    id: selectionId,
+    uo: runnerOrders.map(orderView),
+    mb: matchedLadder(marketId, selectionId, "BACK"),
+    ml: matchedLadder(marketId, selectionId, "LAY"),
+  });
+
+  const publishOrders = (oc) => {
+    clk++;
+    broadcast(
+      { op: "ocm", clk: `${clk}`, pt: publishTime(), oc },
+      (client) => client.ordersSubscribed
+    );
+  };
+
+  const publishOrder = (order) =>
+    publishOrders([
+      {
+        id: order.marketId,
+        orc: [runnerOrderChange(order.marketId, order.selectionId, [order])],
+      },
+    ]);
+
+  // Every unsettled order, as the order subscription's initial image
+  const orderImage = () => {
+    const byMarket = {};
+    Object.values(orders)
+      .filter((o) => !o.settled)
+      .forEach((o) => {
+        byMarket[o.marketId] = byMarket[o.marketId] || {};
+        byMarket[o.marketId][o.selectionId] =
+          byMarket[o.marketId][o.selectionId] || [];
+        byMarket[o.marketId][o.selectionId].push(o);
+      });
+    return Object.entries(byMarket).map(([marketId, runners]) => ({
+      id: marketId,
+      fullImage: true,
+      orc: Object.entries(runners).map(([selectionId, runnerOrders]) =>
+        runnerOrderChange(marketId, Number(selectionId), runnerOrders)
+      ),
+    }));
+  };
+
+  // Apply one scripted step to the mock state and publish the changes
+  const runStep = (step) => {
+    if (step.mc) {
+      clk++;
+      broadcast({ op: "mcm", clk: `${clk}`, pt: publishTime(), mc: step.mc });
+    }
+    if (step.ocm) {
+      clk++;
+      broadcast({ op: "ocm", clk: `${clk}`, pt: publishTime(), oc: step.ocm });
+    }
+    if (step.stall) {
+      stalledUntil = Date.now() + step.stall;
+      log(`Stream stalled for ${step.stall} ms`);
+    }
+    if (step.lag !== undefined) {
+      publishLag = step.lag;
+      log(`Publish times ${step.lag} ms behind`);
+    }
+    if (step.conflate !== undefined) conflated = step.conflate;
+    if (step.expireSession) {
+      // Invalidate the current token; the next login hands out a new one
+      token = `mock-session-token-${++tokenCount}`;
+      log("Session expired");
+      streams.forEach((client) => {
+        client.socket.write(
+          JSON.stringify({
+            op: "status",
+            statusCode: "FAILURE",
+            errorCode: "NO_SESSION",
+            connectionClosed: true,
+          }) + "\r\n"
+        );
+        client.socket.end();
+      });
+    }
+    if (step.inPlay) {
+      const market = markets[step.inPlay];
+      market.definition.inPlay = true;
+      log(`Market ${market.marketId} in-play`);
+      publishMarket(market, true);
+    }
+    if (step.odds) {
+      const market = markets[step.odds.marketId];
+      market.runners.forEach((r) => {
+        if (step.odds[r.selectionId] !== undefined)
+          market.odds[r.selectionId] = step.odds[r.selectionId];
+      });
+      publishMarket(market, false);
+    }
+    if (step.score) {
+      const market = markets[step.score.marketId];
+      const { marketId, ...score } = step.score;
+      market.definition.score = score;
+      log(`Market ${marketId} score ${JSON.stringify(score.sets)}`);
+      publishMarket(market, true);
+    }
+    // A market id matches every open order in full; { marketId, size }
+    // matches at most size of each
+    if (step.matchOrders) {
+      const { marketId, size = Infinity } =
+        typeof step.matchOrders === "string"
+          ? { marketId: step.matchOrders }
+          : step.matchOrders;
+      Object.values(orders)
+        .filter((o) => o.marketId === marketId && o.sizeRemaining > 0)
+        .forEach((order) => {
+          const matched = Math.min(size, order.sizeRemaining);
+          order.sizeMatched = cents(order.sizeMatched + matched);
+          order.sizeRemaining = cents(order.sizeRemaining - matched);
+          order.matchedDate = Date.now();
+          log(`Matched bet ${order.betId} for ${matched}`);
+          publishOrder(order);
+        });
+    }
+    if (step.close) {
+      const market = markets[step.close.marketId];
+      market.definition.status = "CLOSED";
+      market.definition.inPlay = false;
+      market.definition.runners.forEach((r) => {
+        r.status = r.id === step.close.winner ? "WINNER" : "LOSER";
+      });
+      Object.values(orders)
+        .filter((o) => o.marketId === market.marketId)
+        .forEach((order) => {
+          // Unmatched size lapses when the market closes
+          if (order.sizeRemaining > 0) {
+            order.sizeLapsed = order.sizeRemaining;
+            order.sizeRemaining = 0;
+            publishOrder(order);
+          }
+          const won =
+            (order.selectionId === step.close.winner) ===
+            (order.side === "BACK");
+          order.settled = true;
+          order.settledDate = new Date().toISOString();
+          order.profit =
+            order.side === "BACK"
+              ? won
+                ? (order.price - 1) * order.sizeMatched
+                : -order.sizeMatched
+              : won
+                ? order.sizeMatched
+                : -(order.price - 1) * order.sizeMatched;
+        });
+      log(`Market ${market.marketId} closed, winner ${step.close.winner}`);
+      publishMarket(market, true);
+      publishOrders([{ id: market.marketId, closed: true }]);
+    }
+  };
+
+  const startSteps = () => {
+    if (stepsStarted) return;
+    stepsStarted = true;
+    let delay = 0;
+    scenario.steps.forEach((step) => {
+      delay += step.after || 0;
+      timers.push(setTimeout(() => runStep(step), delay));
+    });
+  };
+
+  // Handle one betting API operation
+  const betting = {
+    listMarketCatalogue: () =>
+      Object.values(markets)
+        .filter((m) => m.definition.status !== "CLOSED")
+        .map((m) => ({
+          marketId: m.marketId,
+          marketName: "Match Odds",
+          marketStartTime: new Date().toISOString(),
+          event: {
+            id: m.eventId,
+            name: m.eventName,
+            openDate: new Date().toISOString(),
+          },
+          competition: { id: "1", name: m.competition },
+          description: { marketType: "MATCH_ODDS" },
+          runners: m.runners.map((r, i) => ({ ...r, sortPriority: i + 1 })),
+        })),
+    // Replacing an order keeps its size, even when under the minimum stake
+    placeOrders: (body, { replacing = false } = {}) => {
+      const reports = body.instructions.map((instruction) => {
+        const limit = instruction.limitOrder || {};
+        if (!markets[body.marketId])
+          return {
+            status: "FAILURE",
+            errorCode: "MARKET_NOT_OPEN_FOR_BETTING",
+            instruction,
+          };
+        if (!isValidPrice(limit.price))
+          return { status: "FAILURE", errorCode: "INVALID_ODDS", instruction };
+        if (
+          !(limit.size > 0) ||
+          Math.abs(Math.round(limit.size * 100) - limit.size * 100) > 1e-6 ||
+          (!replacing && limit.size < minStake)
+        )
+          return {
+            status: "FAILURE",
+            errorCode: "INVALID_BET_SIZE",
+            instruction,
+          };
+        const betId = `${nextBetId++}`;
+        const order = {
+          betId,
+          marketId: body.marketId,
+          selectionId: instruction.selectionId,
+          side: instruction.side,
+          price: limit.price,
+          size: limit.size,
+          sizeMatched: 0,
+          sizeRemaining: limit.size,
+          sizeCancelled: 0,
+          placedDate: Date.now(),
+        };
+        orders[betId] = order;
+        log(
+          `Placed bet ${betId}: ${order.side} ${order.size} @ ${order.price}`
+        );
+        // A fill-or-kill order matches in full at once if the current price
+        // allows it, and is cancelled otherwise
+        if (limit.timeInForce === "FILL_OR_KILL") {
+          const odds = markets[body.marketId].odds[order.selectionId];
+          const fills =
+            odds &&
+            (order.side === "LAY"
+              ? order.price >= addTicks(odds, 1)
+              : order.price <= odds);
+          if (fills) {
+            order.sizeMatched = order.size;
+            order.matchedDate = Date.now();
+          } else {
+            order.sizeCancelled = order.size;
+          }
+          order.sizeRemaining = 0;
+          log(`Bet ${betId} ${fills ? "matched" : "killed"} (fill or kill)`);
+        }
+        publishOrder(order);
+        return {
+          status: "SUCCESS",
+          instruction,
+          betId,
+          placedDate: new Date(order.placedDate).toISOString(),
+          averagePriceMatched: order.sizeMatched > 0 ? order.price : 0,
+          sizeMatched: order.sizeMatched,
+          orderStatus:
+            order.sizeRemaining > 0 ? "EXECUTABLE" : "EXECUTION_COMPLETE",
+        };
+      });
+      return {
+        marketId: body.marketId,
+        status: reports.every((r) => r.status === "SUCCESS")
+          ? "SUCCESS"
+          : "FAILURE",
+        instructionReports: reports,
+      };
+    },
+    cancelOrders: (body) => {
+      const targets = body.instructions?.length
+        ? body.instructions
+        : Object.values(orders)
+            .filter((o) => !body.marketId || o.marketId === body.marketId)
+            .map((o) => ({ betId: o.betId }));
+      const reports = targets.map((instruction) => {
+        const order = orders[instruction.betId];
+        if (!order || order.sizeRemaining <= 0)
+          return {
+            status: "FAILURE",
+            errorCode: "BET_TAKEN_OR_LAPSED",
+            instruction,
+          };
+        const reduction = Math.min(
+          instruction.sizeReduction || order.sizeRemaining,
+          order.sizeRemaining
+        );
+        order.sizeRemaining = cents(order.sizeRemaining - reduction);
+        order.sizeCancelled = cents(order.sizeCancelled + reduction);
+        log(`Cancelled ${reduction} of bet ${order.betId}`);
+        publishOrder(order);
+        return {
+          status: "SUCCESS",
+          instruction,
+          sizeCancelled: reduction,
+          cancelledDate: new Date().toISOString(),
+        };
+      });
+      return {
+        marketId: body.marketId,
+        status: reports.every((r) => r.status === "SUCCESS")
+          ? "SUCCESS"
+          : "FAILURE",
+        instructionReports: reports,
+      };
+    },
+    replaceOrders: (body) => {
+      const reports = body.instructions.map((instruction) => {
+        const order = orders[instruction.betId];
+        if (!order || order.sizeRemaining <= 0)
+          return {
+            status: "FAILURE",
+            errorCode: "BET_TAKEN_OR_LAPSED",
+            instruction,
+          };
+        const remaining = order.sizeRemaining;
+        const cancel = betting.cancelOrders({
+          marketId: body.marketId,
+          instructions: [{ betId: order.betId }],
+        }).instructionReports[0];
+        const place = betting.placeOrders(
+          {
+            marketId: body.marketId,
+            instructions: [
+              {
+                selectionId: order.selectionId,
+                side: order.side,
+                orderType: "LIMIT",
+                limitOrder: {
+                  size: remaining,
+                  price: instruction.newPrice,
+                  persistenceType: "LAPSE",
+                },
+              },
+            ],
+          },
+          { replacing: true }
+        ).instructionReports[0];
+        return {
+          status:
+            cancel.status === "SUCCESS" && place.status === "SUCCESS"
+              ? "SUCCESS"
+              : "FAILURE",
+          cancelInstructionReport: cancel,
+          placeInstructionReport: place,
+        };
+      });
+      return {
+        marketId: body.marketId,
+        status: reports.every((r) => r.status === "SUCCESS")
+          ? "SUCCESS"
+          : "FAILURE",
+        instructionReports: reports,
+      };
+    },
+    listClearedOrders: (body) => {
+      const cleared = Object.values(orders)
+        .filter((o) =>
+          body.betStatus === "CANCELLED"
+            ? o.sizeCancelled > 0 && o.sizeMatched === 0
+            : o.settled && o.sizeMatched > 0
+        )
+        .filter((o) => !body.betIds || body.betIds.includes(o.betId))
+        .filter((o) => !body.marketIds || body.marketIds.includes(o.marketId))
+        .map((o) => ({
+          betId: o.betId,
+          marketId: o.marketId,
+          selectionId: o.selectionId,
+          side: o.side,
+          priceRequested: o.price,
+          priceMatched: o.price,
+          sizeSettled: o.sizeMatched,
+          sizeCancelled: o.sizeCancelled,
+          profit: o.profit,
+          betOutcome: o.profit > 0 ? "WON" : "LOST",
+          placedDate: new Date(o.placedDate).toISOString(),
+          settledDate: o.settledDate,
+        }));
+      if (body.groupBy !== "MARKET")
+        return { clearedOrders: cleared, moreAvailable: false };
+      // Commission is charged on each market's net winnings
+      const byMarket = {};
+      cleared.forEach((o) => {
+        byMarket[o.marketId] = byMarket[o.marketId] || {
+          marketId: o.marketId,
+          profit: 0,
+          betCount: 0,
+        };
+        byMarket[o.marketId].profit += o.profit;
+        byMarket[o.marketId].betCount++;
+      });
+      return {
+        clearedOrders: Object.values(byMarket).map((market) => ({
+          ...market,
+          commission: cents(Math.max(market.profit, 0) * commissionRate),
+        })),
+        moreAvailable: false,
+      };
+    },
+    listCurrentOrders: (body) => ({
+      currentOrders: Object.values(orders)
+        .filter((o) => !o.settled)
+        .filter((o) => !body.betIds || body.betIds.includes(o.betId))
+        .filter((o) => !body.marketIds || body.marketIds.includes(o.marketId))
+        .map((o) => ({
+          betId: o.betId,
+          marketId: o.marketId,
+          selectionId: o.selectionId,
+          side: o.side,
+          priceSize: { price: o.price, size: o.size },
+          status: o.sizeRemaining > 0 ? "EXECUTABLE" : "EXECUTION_COMPLETE",
+          averagePriceMatched: o.sizeMatched > 0 ? o.price : 0,
+          sizeMatched: o.sizeMatched,
+          sizeRemaining: o.sizeRemaining,
+          sizeCancelled: o.sizeCancelled,
+          sizeLapsed: 0,
+          orderType: "LIMIT",
+          persistenceType: "LAPSE",
+          placedDate: new Date(o.placedDate).toISOString(),
+        })),
+      moreAvailable: false,
+    }),
+  };
+
+  const httpServer = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", () => {
+      const url = new URL(req.url, "http://localhost");
+      if (req.method === "POST" && url.pathname === "/api/login") {
+        const form = new URLSearchParams(raw);
+        log(`Login for ${form.get("username")}`);
+        return sendJson(res, {
+          token,
+          product: "mock",
+          status: "SUCCESS",
+          error: "",
+        });
+      }
+      if (req.method === "POST" && url.pathname === "/api/certlogin") {
+        const form = new URLSearchParams(raw);
+        log(`Certificate login for ${form.get("username")}`);
+        return sendJson(res, { sessionToken: token, loginStatus: "SUCCESS" });
+      }
+      if (url.pathname === "/webhook" || url.pathname.startsWith("/webhook/")) {
+        if (req.method === "GET") return sendJson(res, notifications);
+        let body;
+        try {
+          body = JSON.parse(raw);
+        } catch (error) {
+          return apiError(res, "INVALID_JSON");
+        }
+        notifications.push({ path: url.pathname, body });
+        log(`Notification on ${url.pathname}: ${JSON.stringify(body)}`);
+        return sendJson(res, { ok: true });
+      }
+      if (req.method === "POST" && url.pathname === "/api/keepAlive") {
+        const valid = req.headers["x-authentication"] === token;
+        return sendJson(res, {
+          token: valid ? token : "",
+          product: "mock",
+          status: valid ? "SUCCESS" : "FAIL",
+          error: valid ? "" : "NO_SESSION",
+        });
+      }
+      const match = url.pathname.match(
+        /\/exchange\/betting\/rest\/v1\.0\/(\w+)\/?$/
+      );
+      if (req.method !== "POST" || !match || !betting[match[1]]) {
+        res.writeHead(404);
+        return res.end();
+      }
+      if (req.headers["x-authentication"] !== token)
+        return apiError(res, "INVALID_SESSION_INFORMATION");
+      let body;
+      try {
+        body = JSON.parse(raw || "{}");
+      } catch (error) {
+        return apiError(res, "INVALID_INPUT_DATA");
+      }
+      sendJson(res, betting[match[1]](body));
+    });
+  });
+
+  // Serve the CRLF-delimited stream protocol over TLS or plain TCP
+  const onStreamConnection = (socket) => {
+    const client = {
+      socket,
+      authenticated: false,
+      marketIds: new Set(),
+      ordersSubscribed: false,
+      lastSentAt: Date.now(),
+      heartbeatTimers: [],
+    };
+    streams.add(client);
+    let pending = "";
+    const reply = (message) => send(client, message);
+    // A subscription asking for heartbeats gets one whenever nothing else
+    // was sent for heartbeatMs
+    const startHeartbeat = (request, op) => {
+      if (!request.heartbeatMs) return;
+      client.heartbeatTimers.push(
+        setInterval(() => {
+          if (Date.now() - client.lastSentAt < request.heartbeatMs) return;
+          reply({
+            op,
+            id: request.id,
+            ct: "HEARTBEAT",
+            clk: `${clk}`,
+            pt: publishTime(),
+          });
+        }, request.heartbeatMs)
+      );
+    };
+    const disconnect = () => {
+      client.heartbeatTimers.forEach(clearInterval);
+      streams.delete(client);
+    };
+    reply({ op: "connection", connectionId: `mock-${Date.now()}` });
+    socket.on("data", (data) => {
+      pending += data.toString();
+      let index;
+      while ((index = pending.indexOf("\r\n")) !== -1) {
+        const line = pending.slice(0, index);
+        pending = pending.slice(index + 2);
+        let request;
+        try {
+          request = JSON.parse(line);
+        } catch (error) {
+          continue;
+        }
+        if (request.op === "authentication") {
+          if (request.session !== token) {
+            reply({
+              op: "status",
+              id: request.id,
+              statusCode: "FAILURE",
+              errorCode: "NO_SESSION",
+              connectionClosed: true,
+            });
+            socket.end();
+            continue;
+          }
+          client.authenticated = true;
+          reply({
+            op: "status",
+            id: request.id,
+            statusCode: "SUCCESS",
+            connectionClosed: false,
+          });
+        } else if (request.op === "marketSubscription") {
+          (request.marketFilter?.marketIds || []).forEach((id) =>
+            client.marketIds.add(id)
+          );
+          reply({
+            op: "status",
+            id: request.id,
+            statusCode: "SUCCESS",
+            connectionClosed: false,
+          });
+          clk++;
+          reply({
+            op: "mcm",
+            id: request.id,
+            ct: "SUB_IMAGE",
+            initialClk: `init-${request.id}`,
+            clk: `${clk}`,
+            pt: publishTime(),
+            mc: (request.marketFilter?.marketIds || [])
+              .filter((id) => markets[id])
+              .map((id) => marketChange(markets[id], true, true)),
+          });
+          startHeartbeat(request, "mcm");
+          startSteps();
+        } else if (request.op === "orderSubscription") {
+          client.ordersSubscribed = true;
+          reply({
+            op: "status",
+            id: request.id,
+            statusCode: "SUCCESS",
+            connectionClosed: false,
+          });
+          clk++;
+          reply({
+            op: "ocm",
+            id: request.id,
+            ct: "SUB_IMAGE",
+            initialClk: `init-${request.id}`,
+            clk: `${clk}`,
+            pt: publishTime(),
+            oc: orderImage(),
+          });
+          startHeartbeat(request, "ocm");
+        } else if (request.op === "heartbeat") {
+          reply({
+            op: "status",
+            id: request.id,
+            statusCode: "SUCCESS",
+            connectionClosed: false,
+          });
+        }
+      }
+    });
+    socket.on("error", disconnect);
+    socket.on("close", disconnect);
+  };
+
+  const streamServer =
+    options.key && options.cert
+      ? tls.createServer(
+          {
+            key: fs.readFileSync(options.key),
+            cert: fs.readFileSync(options.cert),
+          },
+          onStreamConnection
+        )
+      : net.createServer(onStreamConnection);
+
+  await new Promise((resolve) =>
+    httpServer.listen(options.httpPort || 0, "127.0.0.1", resolve)
+  );
+  await new Promise((resolve) =>
+    streamServer.listen(options.streamPort || 0, "127.0.0.1", resolve)
+  );
+
+  const httpPort = httpServer.address().port;
+  const streamPort = streamServer.address().port;
+  log(
+    `REST on http://127.0.0.1:${httpPort}, stream on ${options.key ? "tls" : "tcp"}://127.0.0.1:${streamPort}`
+  );
+
+  return {
+    httpPort,
+    streamPort,
+    orders,
+    markets,
+    notifications,
+    runStep,
+    // Environment that points the bot at this mock exchange
+    env: {
+      BOT_LOGIN_ENDPOINT: `http://127.0.0.1:${httpPort}/api/login`,
+      BOT_CERT_LOGIN_ENDPOINT: `http://127.0.0.1:${httpPort}/api/certlogin`,
+      BOT_KEEP_ALIVE_ENDPOINT: `http://127.0.0.1:${httpPort}/api/keepAlive`,
+      BOT_API_ENDPOINT: `http://127.0.0.1:${httpPort}/exchange/betting/rest/v1.0/`,
+      BOT_STREAM_HOST: "127.0.0.1",
+      BOT_STREAM_PORT: `${streamPort}`,
+      BOT_STREAM_TLS: options.key ? "true" : "false",
+    },
+    close: () => {
+      timers.forEach(clearTimeout);
+      streams.forEach((client) => {
+        client.heartbeatTimers.forEach(clearInterval);
+        client.socket.destroy();
+      });
+      return Promise.all([
+        new Promise((resolve) => httpServer.close(resolve)),
+        new Promise((resolve) => streamServer.close(resolve)),
+      ]);
+    },
+  };
+}
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  startMockExchange({
+    scenario: args.scenario
+      ? JSON.parse(fs.readFileSync(args.scenario, "utf8"))
+      : defaultScenario,
+    httpPort: Number(args.httpPort) || 8088,
+    streamPort: Number(args.streamPort) || 8089,
+    key: args.key,
+    cert: args.cert,
+    minStake: Number(args.minStake) || 1,
+    commissionRate:
+      args.commissionRate !== undefined ? Number(args.commissionRate) : 0.05,
+  })
+    .then((mock) => {
+      Object.entries(mock.env).forEach(([name, value]) =>
+        console.log(`${name}=${value}`)
+      );
+    })
+    .catch((error) => {
+      console.error(chalk.red(`Mock exchange failed: ${error.message}`));
+      process.exit(1);
+    });
+}
+
+module.exports = { defaultScenario, startMockExchange };
@@ -0,0 +1,265 @@
+const net = require("net");
+const tls = require("tls");
+const os = require("os");
+const path = require("path");
+
+// Alert notifications. The bot calls notify(event, { title, message, key,
+// data }) and every configured sink receives the ones whose event is listed
+// in notifications.events. A notification with the same event and key as
+// one sent within dedupeMs is dropped, and at most maxPerMinute are sent
+// per minute; the next one sent says how many were dropped.
+//
+// Sinks are built in (a generic JSON webhook, Telegram, Slack, Discord and
+// SMTP email, each on when its URL or host is set) or modules listed in
+// notifications.sinkModules exporting a factory (settings) =>
+// { name, send(notification) }, where send returns a promise.
+
+const eventNames = [
+  "bet_placed",
+  "bet_outcome",
+  "multiplier_high",
+  "risk_action",
+  "login_failed",
+  "stream_down",
+  "stream_restored",
+];
+
+async function postJson(url, body) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  if (!response.ok)
+    throw new Error(`${response.status} ${await response.text()}`);
+}
+
+// Read SMTP replies from a socket; a reply ends at the line whose code is
+// followed by a space rather than a dash
+function smtpReader(socket) {
+  let buffer = "";
+  let lines = [];
+  const replies = [];
+  const waiters = [];
+  const onData = (chunk) => {
+    buffer += chunk.toString();
+    let index;
+    while ((index = buffer.indexOf("\r\n")) !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+      lines.push(line);
+      if (line[3] === "-") continue;
+      const reply = { code: Number(line.slice(0, 3)), text: lines.join(" ") };
+      lines = [];
+      const waiter = waiters.shift();
+      if (waiter) waiter(reply);
+      else replies.push(reply);
+    }
+  };
+  socket.on("data", onData);
+  const next = () =>
+    replies.length > 0
+      ? Promise.resolve(replies.shift())
+      : new Promise((resolve) => waiters.push(resolve));
+  // Send a command (null just reads the greeting) and check the reply code
+  const command = async (line, expected, label = line) => {
+    if (line !== null) socket.write(`${line}\r\n`);
+    const reply = await next();
+    if (reply.code !== expected)
+      throw new Error(`SMTP ${label || "greeting"} failed: ${reply.text}`);
+    return reply;
+  };
+  return { command, detach: () => socket.off("data", onData) };
+}
+
+function connectSocket(options, secure) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect(options, () => resolve(socket))
+      : net.connect(options, () => resolve(socket));
+    socket.once("error", reject);
+  });
+}
+
+// Send a plain-text email: implicit TLS with smtpSecure, otherwise STARTTLS
+// when the server offers it, and AUTH LOGIN when smtpUser is set
+async function sendMail(settings, { subject, text }) {
+  const host = settings.smtpHost;
+  let socket = await connectSocket(
+    { host, port: settings.smtpPort, servername: host },
+    settings.smtpSecure
+  );
+  // Socket errors and timeouts abort the conversation
+  let abort;
+  const failed = new Promise((resolve, reject) => (abort = reject));
+  failed.catch(() => {});
+  const watch = (target) => {
+    target.on("error", abort);
+    target.setTimeout(30000, () => abort(new Error("SMTP timeout")));
+  };
+  watch(socket);
+  const converse = async () => {
+    let smtp = smtpReader(socket);
+    await smtp.command(null, 220);
+    const ehlo = await smtp.command(`EHLO ${os.hostname()}`, 250);
+    if (!settings.smtpSecure && /STARTTLS/i.test(ehlo.text)) {
+      await smtp.command("STARTTLS", 220);
+      smtp.detach();
+      socket = await connectSocket({ socket, servername: host }, true);
+      watch(socket);
+      smtp = smtpReader(socket);
+      await smtp.command(`EHLO ${os.hostname()}`, 250);
+    }
+    if (settings.smtpUser) {
+      await smtp.command("AUTH LOGIN", 334);
+      await smtp.command(
+        Buffer.from(settings.smtpUser).toString("base64"),
+        334,
+        "AUTH user"
+      );
+      await smtp.command(
+        Buffer.from(settings.smtpPassword).toString("base64"),
+        235,
+        "AUTH password"
+      );
+    }
+    await smtp.command(`MAIL FROM:<${settings.smtpFrom}>`, 250);
+    for (const to of settings.smtpTo)
+      await smtp.command(`RCPT TO:<${to}>`, 250);
+    await smtp.command("DATA", 354);
+    const body = [
+      `From: ${settings.smtpFrom}`,
+      `To: ${settings.smtpTo.join(", ")}`,
+      `Subject: ${subject}`,
+      `Date: ${new Date().toUTCString()}`,
+      "Content-Type: text/plain; charset=utf-8",
+      "",
+      // A line starting with a dot would end the message early
+      ...text
+        .split(/\r?\n/)
+        .map((line) => (line[0] === "." ? `.${line}` : line)),
+      ".",
+    ].join("\r\n");
+    await smtp.command(body, 250, "DATA body");
+    await smtp.command("QUIT", 221);
+  };
+  try {
+    await Promise.race([converse(), failed]);
+  } finally {
+    socket.destroy();
+  }
+}
+
+const text = (n) => `${n.title}\n${n.message}`;
+
+const builtinSinks = {
+  webhook: {
+    configured: (settings) => !!settings.webhookUrl,
+    send: (n, settings) => postJson(settings.webhookUrl, n),
+  },
+  telegram: {
+    configured: (settings) =>
+      !!settings.telegramUrl && !!settings.telegramChatId,
+    send: (n, settings) =>
+      postJson(settings.telegramUrl, {
+        chat_id: settings.telegramChatId,
+        text: text(n),
+      }),
+  },
+  slack: {
+    configured: (settings) => !!settings.slackUrl,
+    send: (n, settings) =>
+      postJson(settings.slackUrl, { text: `*${n.title}*\n${n.message}` }),
+  },
+  discord: {
+    configured: (settings) => !!settings.discordUrl,
+    send: (n, settings) =>
+      postJson(settings.discordUrl, {
+        content: `**${n.title}**\n${n.message}`,
+      }),
+  },
+  smtp: {
+    configured: (settings) =>
+      !!settings.smtpHost && !!settings.smtpFrom && settings.smtpTo.length > 0,
+    send: (n, settings) =>
+      sendMail(settings, {
+        subject: `[underdog bot] ${n.title}`,
+        text: `${n.message}\n\n${JSON.stringify(n.data || {}, null, 2)}`,
+      }),
+  },
+};
+
+// Create the notifier from the "notifications" config section
+function createNotifier(
+  settings,
+  { log, now = () => Date.now(), cwd = process.cwd() }
+) {
+  const sinks = Object.entries(builtinSinks)
+    .filter(([, sink]) => sink.configured(settings))
+    .map(([name, sink]) => ({
+      name,
+      send: (notification) => sink.send(notification, settings),
+    }));
+  settings.sinkModules.forEach((modulePath) => {
+    const sink = require(path.resolve(cwd, modulePath))(settings);
+    if (!sink || typeof sink.send !== "function")
+      throw new Error(
+        `Notification sink ${modulePath} did not return a send()`
+      );
+    sinks.push({
+      name: sink.name || path.basename(modulePath, ".js"),
+      ...sink,
+    });
+  });
+  const lastSent = {};
+  let sentTimes = [];
+  let suppressed = 0;
+
+  const notify = (event, { title, message, key = message, data = {} }) => {
+    if (sinks.length === 0 || !settings.events.includes(event)) return false;
+    const time = now();
+    const dedupeKey = `${event}:${key}`;
+    if (
+      lastSent[dedupeKey] !== undefined &&
+      time - lastSent[dedupeKey] < settings.dedupeMs
+    ) {
+      suppressed++;
+      return false;
+    }
+    sentTimes = sentTimes.filter((sent) => time - sent < 60000);
+    if (settings.maxPerMinute && sentTimes.length >= settings.maxPerMinute) {
+      suppressed++;
+      return false;
+    }
+    // Forget keys past their dedupe window, so one key per distinct
+    // message doesn't pile up over a long run
+    Object.keys(lastSent).forEach((sentKey) => {
+      if (time - lastSent[sentKey] >= settings.dedupeMs)
+        delete lastSent[sentKey];
+    });
+    lastSent[dedupeKey] = time;
+    sentTimes.push(time);
+    const notification = {
+      event,
+      title,
+      message: suppressed
+        ? `${message}\n(${suppressed} notifications dropped since the last one)`
+        : message,
+      data,
+      timestamp: new Date(time).toISOString(),
+    };
+    suppressed = 0;
+    sinks.forEach((sink) =>
+      Promise.resolve()
+        .then(() => sink.send(notification))
+        .catch((error) =>
+          log(`Notification to ${sink.name} failed: ${error.message}`)
+        )
+    );
+    return true;
+  };
+
+  return { sinks: sinks.map((sink) => sink.name), notify };
+}
+
+module.exports = { eventNames, createNotifier, sendMail };
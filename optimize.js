@@ -0,0 +1,435 @@
+const chalk = require("chalk");
+const backtest = require("./backtest");
+const { toTable, toCsv } = require("./report");
+
+// Parameter search over the recorded games/ history. Every combination of
+// the swept backtest options is backtested and scored on ROI, max drawdown,
+// the largest stake the staking plan reached and the probability of busting
+// the bankroll, estimated by replaying the same markets in shuffled orders.
+// Combinations are ranked on the older, in-sample part of the history and
+// then backtested on the newer, out-of-sample part; one that does much
+// worse there is flagged as overfit. A walk-forward search repeats that
+// over consecutive periods.
+
+const defaultSettings = {
+  search: "grid",
+  grid: [],
+  samples: 50,
+  seed: 1,
+  train: 0.7,
+  folds: 4,
+  simulations: 20,
+  rank: "roi",
+  minBets: 10,
+  overfitRatio: 0.5,
+  top: 20,
+  format: "table",
+};
+
+// Swept when no --grid is given
+const defaultGrid = [
+  "maxGameDifference=1,2,3",
+  "minUnderdogOdds=1.5:4:0.5",
+  "betPercentage=2,5,10",
+];
+
+const searches = ["grid", "random", "walk-forward"];
+const formats = ["table", "csv", "json"];
+
+// Ranking metrics: the score field and whether higher is better
+const rankings = {
+  roi: { field: "roi", higherIsBetter: true },
+  drawdown: { field: "drawdownPct", higherIsBetter: false },
+  stake: { field: "peakStake", higherIsBetter: false },
+  bust: { field: "bustPct", higherIsBetter: false },
+};
+
+const round = (n) => Math.round(n * 100) / 100;
+const camelCase = (name) =>
+  name.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+
+// Split the command line into the optimizer's settings and the backtest
+// options every combination starts from (--dir, --balance, --staking.plan...)
+function parseArgs(argv) {
+  const settings = { ...defaultSettings, grid: [] };
+  const rest = [];
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--([^=]+)(?:=(.*))?$/);
+    const key = match && camelCase(match[1]);
+    if (!match || !(key in defaultSettings)) {
+      rest.push(argv[i]);
+      // A backtest option's value, unless it is a flag
+      if (match && match[2] === undefined && argv[i + 1]?.startsWith("--"))
+        continue;
+      if (match && match[2] === undefined && argv[i + 1] !== undefined)
+        rest.push(argv[++i]);
+      continue;
+    }
+    const value = match[2] !== undefined ? match[2] : argv[++i];
+    if (value === undefined) throw new Error(`Missing value for --${match[1]}`);
+    if (key === "grid") settings.grid.push(value);
+    else if (typeof defaultSettings[key] === "number") {
+      settings[key] = Number(value);
+      if (isNaN(settings[key]))
+        throw new Error(`Option --${match[1]} must be a number`);
+    } else settings[key] = value;
+  }
+  if (!searches.includes(settings.search))
+    throw new Error(`--search must be ${searches.join(", ")}`);
+  if (!formats.includes(settings.format))
+    throw new Error(`--format must be ${formats.join(", ")}`);
+  if (!rankings[settings.rank])
+    throw new Error(`--rank must be ${Object.keys(rankings).join(", ")}`);
+  if (!(settings.train > 0 && settings.train <= 1))
+    throw new Error("--train must be more than 0 and at most 1");
+  if (!(settings.folds >= 1)) throw new Error("--folds must be at least 1");
+  const grid = (settings.grid.length ? settings.grid : defaultGrid).map(
+    parseGridEntry
+  );
+  return { settings: { ...settings, grid }, options: backtest.parseArgs(rest) };
+}
+
+// A --grid entry: "name=1,2,3" or "name=from:to:step", name being a numeric
+// backtest option ("minUnderdogOdds", "staking.kellyFraction")
+function parseGridEntry(entry) {
+  const match = entry.match(/^([^=]+)=(.+)$/);
+  if (!match) throw new Error(`--grid ${entry} must look like name=values`);
+  const name = camelCase(match[1]);
+  const [section, field] = name.split(".");
+  const defaults = field
+    ? backtest.defaultOptions[section]
+    : backtest.defaultOptions;
+  if (typeof defaults?.[field || section] !== "number")
+    throw new Error(`--grid ${match[1]} is not a numeric backtest option`);
+  const range = match[2].match(/^([\d.]+):([\d.]+):([\d.]+)$/);
+  let values;
+  if (range) {
+    const [from, to, step] = range.slice(1).map(Number);
+    if (!(step > 0)) throw new Error(`--grid ${entry} needs a positive step`);
+    values = [];
+    // Rounded so the steps don't drift (1.5, 2, 2.5 rather than 2.4999...)
+    for (let i = 0; from + i * step <= to + 1e-9; i++)
+      values.push(Math.round((from + i * step) * 1e6) / 1e6);
+  } else {
+    values = match[2].split(",").map((value) => Number(value.trim()));
+  }
+  if (values.length === 0 || values.some((value) => isNaN(value)))
+    throw new Error(`--grid ${entry} must list numbers`);
+  return { name, values };
+}
+
+// Every combination of the grid's values, as { name: value }
+function combinations(grid) {
+  return grid.reduce(
+    (combos, { name, values }) =>
+      combos.flatMap((combo) =>
+        values.map((value) => ({ ...combo, [name]: value }))
+      ),
+    [{}]
+  );
+}
+
+// Seeded pseudo-random numbers in [0, 1), so a search can be repeated
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Random combinations, each parameter drawn between the lowest and highest
+// of its grid values: whole numbers when those are all whole, otherwise to
+// two decimals
+function randomCombinations(grid, samples, random) {
+  return Array.from({ length: samples }, () =>
+    Object.fromEntries(
+      grid.map(({ name, values }) => {
+        const low = Math.min(...values);
+        const high = Math.max(...values);
+        const value = values.every(Number.isInteger)
+          ? low + Math.floor(random() * (high - low + 1))
+          : Math.round((low + random() * (high - low)) * 100) / 100;
+        return [name, value];
+      })
+    )
+  );
+}
+
+function shuffle(items, random) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+// Backtest options with a combination's values set
+function withParams(options, params) {
+  const result = { ...options };
+  Object.entries(params).forEach(([name, value]) => {
+    const [section, field] = name.split(".");
+    if (field) result[section] = { ...result[section], [field]: value };
+    else result[section] = value;
+  });
+  return result;
+}
+
+// The recorded events grouped by match, oldest match first. Each event file
+// is one match.
+function groupMatches(events) {
+  const matches = new Map();
+  events.forEach((event) => {
+    if (!matches.has(event.eventId))
+      matches.set(event.eventId, { start: event.timestamp, events: [] });
+    matches.get(event.eventId).events.push(event);
+  });
+  return [...matches.values()];
+}
+
+// A period of matches: its events in time order and the days it spans
+function period(matches) {
+  const events = matches
+    .flatMap((match) => match.events)
+    .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+  return {
+    matches,
+    events,
+    from: matches[0]?.start.slice(0, 10) || "-",
+    to: matches[matches.length - 1]?.start.slice(0, 10) || "-",
+  };
+}
+
+// Split the matches into consecutive periods of about equal size
+function splitPeriods(matches, count) {
+  return Array.from({ length: count }, (_, i) =>
+    period(
+      matches.slice(
+        Math.round((i * matches.length) / count),
+        Math.round(((i + 1) * matches.length) / count)
+      )
+    )
+  );
+}
+
+// Backtest a combination over a period and score it. The bust probability
+// is the share of shuffled match orders in which the stake outgrew the
+// balance; without simulations it is whether the recorded order did.
+function evaluate(periodToTest, options, settings, random) {
+  const { summary } = backtest.runBacktest(periodToTest.events, options);
+  let busts = 0;
+  for (let i = 0; i < settings.simulations; i++) {
+    const reordered = shuffle(periodToTest.matches, random).flatMap(
+      (match) => match.events
+    );
+    if (backtest.runBacktest(reordered, options).summary.busted) busts++;
+  }
+  const settled = summary.wins + summary.losses;
+  return {
+    bets: summary.betsPlaced,
+    winRate: settled > 0 ? round((summary.wins / settled) * 100) : 0,
+    pnl: round(summary.totalPnl),
+    roi: round(summary.roi),
+    drawdownPct: round(summary.maxDrawdownPercent),
+    peakStake: round(summary.peakStake),
+    bustPct: settings.simulations
+      ? round((busts / settings.simulations) * 100)
+      : summary.busted
+        ? 100
+        : 0,
+  };
+}
+
+// Best first by the ranking metric; combinations with fewer than minBets
+// bets go last, as their scores say little
+function rank(rows, settings) {
+  const { field, higherIsBetter } = rankings[settings.rank];
+  return [...rows].sort((a, b) => {
+    const enoughA = a.score.bets >= settings.minBets;
+    const enoughB = b.score.bets >= settings.minBets;
+    if (enoughA !== enoughB) return enoughA ? -1 : 1;
+    const order = higherIsBetter
+      ? b.score[field] - a.score[field]
+      : a.score[field] - b.score[field];
+    return order || b.score.roi - a.score.roi;
+  });
+}
+
+// Overfit: profitable in-sample but the out-of-sample ROI is under
+// overfitRatio of the in-sample one. Unknown without out-of-sample bets.
+function overfitFlag(inSample, outOfSample, settings) {
+  if (outOfSample.bets === 0) return "-";
+  return inSample.roi > 0 &&
+    outOfSample.roi < inSample.roi * settings.overfitRatio
+    ? "yes"
+    : "no";
+}
+
+// Score the candidates on the in-sample period, rank them and backtest the
+// best on the out-of-sample period
+function runSearch(events, options, settings) {
+  const random = createRandom(settings.seed);
+  const candidates =
+    settings.search === "random"
+      ? randomCombinations(settings.grid, settings.samples, random)
+      : combinations(settings.grid);
+  const matches = groupMatches(events);
+  const cut = Math.round(matches.length * settings.train);
+  const inSample = period(matches.slice(0, cut));
+  const outOfSample = cut < matches.length ? period(matches.slice(cut)) : null;
+  const ranked = rank(
+    candidates.map((params) => ({
+      params,
+      score: evaluate(inSample, withParams(options, params), settings, random),
+    })),
+    settings
+  ).slice(0, settings.top);
+  const rows = ranked.map((row, i) => {
+    const result = { rank: i + 1, ...row.params, ...row.score };
+    if (!outOfSample) return result;
+    const test = evaluate(
+      outOfSample,
+      withParams(options, row.params),
+      settings,
+      random
+    );
+    return {
+      ...result,
+      oosBets: test.bets,
+      oosRoi: test.roi,
+      oosDrawdownPct: test.drawdownPct,
+      overfit: overfitFlag(row.score, test, settings),
+    };
+  });
+  return { candidates: candidates.length, inSample, outOfSample, rows };
+}
+
+// Walk forward: for each of folds periods after the first, pick the best
+// combination on every period before it and backtest it on that period
+function runWalkForward(events, options, settings) {
+  const random = createRandom(settings.seed);
+  const candidates = combinations(settings.grid);
+  const periods = splitPeriods(groupMatches(events), settings.folds + 1);
+  const rows = [];
+  for (let fold = 1; fold <= settings.folds; fold++) {
+    const training = period(periods.slice(0, fold).flatMap((p) => p.matches));
+    const testing = periods[fold];
+    const [best] = rank(
+      candidates.map((params) => ({
+        params,
+        score: evaluate(
+          training,
+          withParams(options, params),
+          settings,
+          random
+        ),
+      })),
+      settings
+    );
+    const test = evaluate(
+      testing,
+      withParams(options, best.params),
+      settings,
+      random
+    );
+    rows.push({
+      fold,
+      train: `${training.from}..${training.to}`,
+      test: `${testing.from}..${testing.to}`,
+      ...best.params,
+      bets: best.score.bets,
+      roi: best.score.roi,
+      oosBets: test.bets,
+      oosRoi: test.roi,
+      oosDrawdownPct: test.drawdownPct,
+      oosPeakStake: test.peakStake,
+      oosBustPct: test.bustPct,
+      overfit: overfitFlag(best.score, test, settings),
+    });
+  }
+  return { candidates: candidates.length, periods, rows };
+}
+
+// Print the ranked table, or the folds, with a line on what was searched
+function printResult(result, settings, loadInfo) {
+  if (settings.format === "json") {
+    console.log(JSON.stringify(result.rows, null, 2));
+    return;
+  }
+  if (settings.format === "csv") {
+    console.log(toCsv(result.rows));
+    return;
+  }
+  console.log(
+    chalk.cyan(
+      `Loaded ${loadInfo.events} events from ${loadInfo.files} files` +
+        (loadInfo.skippedLines
+          ? ` (${loadInfo.skippedLines} unreadable lines skipped)`
+          : "")
+    )
+  );
+  backtest.printSkippedFiles(loadInfo.skippedFiles);
+  if (settings.search === "walk-forward") {
+    console.log(
+      chalk.cyan(
+        `Walk-forward over ${result.periods.length} periods, ${result.candidates} combinations each, ranked by ${settings.rank}:`
+      )
+    );
+  } else {
+    const { inSample, outOfSample } = result;
+    console.log(
+      chalk.cyan(
+        `${result.candidates} combinations ranked by ${settings.rank} on ${
+          inSample.matches.length
+        } matches ${inSample.from}..${inSample.to}` +
+          (outOfSample
+            ? `, tested on ${outOfSample.matches.length} matches ${outOfSample.from}..${outOfSample.to}:`
+            : " (no out-of-sample period):")
+      )
+    );
+  }
+  console.log(toTable(result.rows));
+  const overfit = result.rows.filter((row) => row.overfit === "yes").length;
+  if (overfit > 0)
+    console.log(
+      chalk.yellow(
+        `${overfit} of ${result.rows.length} look overfit: out-of-sample ROI under ${
+          settings.overfitRatio * 100
+        }% of the in-sample ROI`
+      )
+    );
+}
+
+if (require.main === module) {
+  try {
+    const { settings, options } = parseArgs(process.argv.slice(2));
+    const { events, files, skippedLines, skippedFiles } = backtest.loadEvents(
+      options.dir
+    );
+    const result =
+      settings.search === "walk-forward"
+        ? runWalkForward(events, options, settings)
+        : runSearch(events, options, settings);
+    printResult(result, settings, {
+      events: events.length,
+      files,
+      skippedLines,
+      skippedFiles,
+    });
+  } catch (error) {
+    console.error(chalk.red(`Optimization failed: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  defaultSettings,
+  parseArgs,
+  combinations,
+  runSearch,
+  runWalkForward,
+};
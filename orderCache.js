@@ -0,0 +1,112 @@
+// Stream API order cache: merges ocm deltas into a view of our orders and
+// matched positions per market and runner. Its clocks use the same shape as
+// the market cache, so subscriptionClocks() and resetClocks() work on it.
+
+// Create an empty cache holding markets and per-subscription clocks
+function createOrderCache() {
+  return { markets: {}, clocks: {} };
+}
+
+function runnerKey(orc) {
+  return orc.hc ? `${orc.id}-${orc.hc}` : `${orc.id}`;
+}
+
+// Merge a matched ladder delta ([price, size]); a size of 0 removes the price
+function mergeMatched(ladder, updates) {
+  updates.forEach(([price, size]) => {
+    if (size === 0) delete ladder[price];
+    else ladder[price] = size;
+  });
+}
+
+// Apply a runner change; returns the orders it changed, tagged with their
+// market and selection
+function applyRunnerChange(market, orc, isImage) {
+  const key = runnerKey(orc);
+  if (isImage || orc.fullImage || !market.runners[key]) {
+    market.runners[key] = {
+      id: orc.id,
+      hc: orc.hc,
+      orders: {},
+      matchedBacks: {},
+      matchedLays: {},
+    };
+  }
+  const runner = market.runners[key];
+  if (orc.mb) mergeMatched(runner.matchedBacks, orc.mb);
+  if (orc.ml) mergeMatched(runner.matchedLays, orc.ml);
+  return (orc.uo || []).map((uo) => {
+    runner.orders[uo.id] = {
+      ...runner.orders[uo.id],
+      ...uo,
+      marketId: market.id,
+      selectionId: orc.id,
+    };
+    return runner.orders[uo.id];
+  });
+}
+
+// Apply a single order market change (oc); returns the orders it changed
+function applyOrderMarketChange(cache, oc, subscriptionId) {
+  if (oc.fullImage || !cache.markets[oc.id]) {
+    cache.markets[oc.id] = {
+      id: oc.id,
+      subscriptionId,
+      runners: {},
+      closed: false,
+    };
+  }
+  const market = cache.markets[oc.id];
+  if (oc.closed) market.closed = true;
+  return (oc.orc || []).flatMap((orc) =>
+    applyRunnerChange(market, orc, oc.fullImage)
+  );
+}
+
+// Apply an ocm message: record its clocks and merge every market change.
+// A subscription image replaces everything cached for that subscription.
+// Returns the orders that changed.
+function applyOrderChangeMessage(cache, message) {
+  const id = message.id;
+  cache.clocks[id] = cache.clocks[id] || {};
+  if (message.initialClk) cache.clocks[id].initialClk = message.initialClk;
+  if (message.clk) cache.clocks[id].clk = message.clk;
+  if (message.ct === "SUB_IMAGE") {
+    Object.keys(cache.markets).forEach((marketId) => {
+      if (cache.markets[marketId].subscriptionId === id)
+        delete cache.markets[marketId];
+    });
+  }
+  return (message.oc || []).flatMap((oc) =>
+    applyOrderMarketChange(cache, oc, id)
+  );
+}
+
+function removeOrderMarket(cache, marketId) {
+  delete cache.markets[marketId];
+}
+
+// Size matched on a runner and its average price, from the matched ladder
+// ("mb" for backs, "ml" for lays); null when nothing is cached
+function matchedPosition(cache, marketId, selectionId, side = "BACK") {
+  const runner =
+    cache.markets[marketId]?.runners[runnerKey({ id: selectionId })];
+  const ladder = runner?.[side === "BACK" ? "matchedBacks" : "matchedLays"];
+  if (!ladder || Object.keys(ladder).length === 0) return null;
+  const levels = Object.entries(ladder).map(([price, size]) => [
+    Number(price),
+    size,
+  ]);
+  const size = levels.reduce((sum, [, s]) => sum + s, 0);
+  return {
+    size: Math.round(size * 100) / 100,
+    averagePrice: levels.reduce((sum, [p, s]) => sum + p * s, 0) / size,
+  };
+}
+
+module.exports = {
+  createOrderCache,
+  applyOrderChangeMessage,
+  removeOrderMarket,
+  matchedPosition,
+};
@@ -0,0 +1,169 @@
+const { ticksBetween } = require("./prices");
+
+// Unmatched order lifecycle for live bets. Orders are tracked from placement
+// and updated from the order stream's unmatched-order (uo) entries; orders
+// left unmatched too long, or that the market has moved away from, are
+// cancelled or re-priced ("chased") according to the "orders" config section.
+
+// Create an order manager from the "orders" config section
+function createOrderManager(settings, now = () => Date.now()) {
+  const orders = {};
+
+  const track = ({ betId, marketId, selectionId, price, size, chases = 0 }) => {
+    orders[betId] = {
+      betId,
+      marketId,
+      selectionId,
+      price,
+      size,
+      sizeMatched: 0,
+      sizeRemaining: size,
+      sizeLapsed: 0,
+      sizeCancelled: 0,
+      averagePriceMatched: 0,
+      status: "E",
+      chases,
+      placedAt: now(),
+      pending: false,
+    };
+    return orders[betId];
+  };
+
+  // Merge an order stream uo entry; returns the order, or null when the bet
+  // is not one of ours
+  const applyUpdate = (uo) => {
+    const order = orders[uo.id];
+    if (!order) return null;
+    if (uo.p !== undefined) order.price = uo.p;
+    if (uo.s !== undefined) order.size = uo.s;
+    if (uo.sm !== undefined) order.sizeMatched = uo.sm;
+    if (uo.sr !== undefined) order.sizeRemaining = uo.sr;
+    if (uo.sl !== undefined) order.sizeLapsed = uo.sl;
+    if (uo.sc !== undefined) order.sizeCancelled = uo.sc;
+    if (uo.avp !== undefined) order.averagePriceMatched = uo.avp;
+    if (uo.status) order.status = uo.status;
+    return order;
+  };
+
+  // Apply a successful cancelOrders report without waiting for the stream
+  const applyCancel = (betId, sizeCancelled) => {
+    const order = orders[betId];
+    if (!order) return null;
+    const cancelled = Math.min(sizeCancelled, order.sizeRemaining);
+    order.sizeCancelled += cancelled;
+    order.sizeRemaining =
+      Math.round((order.sizeRemaining - cancelled) * 100) / 100;
+    if (order.sizeRemaining <= 0) order.status = "EC";
+    order.pending = false;
+    return order;
+  };
+
+  // Orders that need a cancel or a new price now, given currentPrice(order),
+  // the best price the order could be matched at:
+  // [{ action: "cancel" | "replace", order, newPrice, reason }]
+  const due = (currentPrice) => {
+    const actions = [];
+    Object.values(orders).forEach((order) => {
+      if (order.pending || order.status === "EC" || order.sizeRemaining <= 0)
+        return;
+      const best = currentPrice(order);
+      // A back order sits unmatched when the best price falls below it
+      const ticksAway =
+        best && best < order.price ? ticksBetween(best, order.price) : 0;
+      let reason = null;
+      if (
+        settings.unmatchedTimeoutMs &&
+        now() - order.placedAt >= settings.unmatchedTimeoutMs
+      )
+        reason = "timeout";
+      else if (settings.chaseTicks && ticksAway >= settings.chaseTicks)
+        reason = "price_moved";
+      if (!reason) return;
+      order.pending = true;
+      if (
+        settings.unmatchedAction === "chase" &&
+        order.chases < settings.maxChases &&
+        best &&
+        best !== order.price
+      )
+        actions.push({ action: "replace", order, newPrice: best, reason });
+      else actions.push({ action: "cancel", order, reason });
+    });
+    return actions;
+  };
+
+  // The order was re-priced: the old bet keeps its matched part and the
+  // size that was still unmatched continues as a new bet
+  const replaced = (betId, newBetId, newPrice, size) => {
+    const order = orders[betId];
+    if (order.sizeRemaining > 0) {
+      order.sizeCancelled += order.sizeRemaining;
+      order.sizeRemaining = 0;
+    }
+    order.status = "EC";
+    order.pending = false;
+    return track({
+      betId: newBetId,
+      marketId: order.marketId,
+      selectionId: order.selectionId,
+      price: newPrice,
+      size,
+      chases: order.chases + 1,
+    });
+  };
+
+  // A cancel or replace request failed; try again on a later check
+  const failed = (betId) => {
+    if (orders[betId]) orders[betId].pending = false;
+  };
+
+  // Matched and unmatched totals over every order of a market. A market
+  // with a cancel or replace in flight counts as open.
+  const position = (marketId) => {
+    const marketOrders = Object.values(orders).filter(
+      (order) => order.marketId === marketId
+    );
+    const matched = marketOrders.reduce((sum, o) => sum + o.sizeMatched, 0);
+    const weighted = marketOrders.reduce(
+      (sum, o) => sum + o.sizeMatched * (o.averagePriceMatched || o.price),
+      0
+    );
+    return {
+      orders: marketOrders,
+      matched: Math.round(matched * 100) / 100,
+      remaining: marketOrders.reduce((sum, o) => sum + o.sizeRemaining, 0),
+      averagePrice: matched > 0 ? weighted / matched : null,
+      open: marketOrders.some(
+        (o) => o.pending || (o.status !== "EC" && o.sizeRemaining > 0)
+      ),
+    };
+  };
+
+  const removeMarket = (marketId) => {
+    Object.keys(orders).forEach((betId) => {
+      if (orders[betId].marketId === marketId) delete orders[betId];
+    });
+  };
+
+  // Restore the orders saved before a restart
+  const restoreState = (saved = {}) => {
+    Object.values(saved).forEach((order) => {
+      orders[order.betId] = { ...order, pending: false };
+    });
+  };
+
+  return {
+    orders,
+    track,
+    applyUpdate,
+    applyCancel,
+    due,
+    replaced,
+    failed,
+    position,
+    removeMarket,
+    restoreState,
+  };
+}
+
+module.exports = { createOrderManager };
@@ -0,0 +1,112 @@
+const { createStaking } = require("./staking");
+
+// Open positions and the staking sequences behind them. Up to maxOpen
+// markets can hold a bet at once. Each new bet takes a free sequence and
+// carries on that sequence's staking progression, so a loss on one match
+// only raises the stakes of the sequence it was placed in. With bankroll
+// "split" each sequence stakes from an equal share of the balance instead
+// of the whole of it.
+
+// Create the position book from the "positions" and "staking" config sections
+function createPositionBook(settings, stakingSettings, stakingOptions) {
+  const sequences = Array.from({ length: settings.maxOpen }, (_, id) => ({
+    id,
+    staking: createStaking(stakingSettings, stakingOptions),
+    marketId: null,
+    exposure: 0,
+  }));
+
+  const freeSequence = () => sequences.find((s) => s.marketId === null);
+  const sequenceOf = (marketId) =>
+    sequences.find((s) => s.marketId === marketId);
+  const openCount = () => sequences.filter((s) => s.marketId !== null).length;
+  const canOpen = () => !!freeSequence();
+  const exposure = () => sequences.reduce((sum, s) => sum + s.exposure, 0);
+
+  // Stake for a new position, from the sequence it would take:
+  // { sequence, plan, stake, ... }, or null when every sequence is busy
+  const stake = ({ balance, price, probability }) => {
+    const sequence = freeSequence();
+    if (!sequence) return null;
+    const share =
+      settings.bankroll === "split" ? balance / sequences.length : balance;
+    return {
+      sequence: sequence.id,
+      ...sequence.staking.stake({ balance: share, price, probability }),
+    };
+  };
+
+  // Hold a market's bet in a sequence (the one stake() used, or the first free)
+  const open = (marketId, size, sequenceId) => {
+    const sequence =
+      sequences.find((s) => s.id === sequenceId && s.marketId === null) ||
+      freeSequence();
+    if (!sequence) return null;
+    sequence.marketId = marketId;
+    sequence.exposure = size;
+    return sequence;
+  };
+
+  // The matched size of a position changed
+  const setExposure = (marketId, size) => {
+    const sequence = sequenceOf(marketId);
+    if (sequence) sequence.exposure = size;
+  };
+
+  // Free a market's sequence, advancing its progression when the bet settled
+  // ({ isWin, pnl }); returns the sequence
+  const close = (marketId, result) => {
+    const sequence = sequenceOf(marketId);
+    if (!sequence) return null;
+    if (result) sequence.staking.recordResult(result);
+    sequence.marketId = null;
+    sequence.exposure = 0;
+    return sequence;
+  };
+
+  // Start one sequence's progression over, or every sequence's
+  const reset = (sequenceId) => {
+    sequences
+      .filter((s) => sequenceId === undefined || s.id === sequenceId)
+      .forEach((s) => s.staking.reset());
+  };
+
+  // Progressions, markets and exposure per sequence, for saving
+  const state = () =>
+    sequences.map((s) => ({
+      id: s.id,
+      staking: s.staking.states,
+      marketId: s.marketId,
+      exposure: s.exposure,
+    }));
+
+  // Restore the sequences saved before a restart; any beyond maxOpen are
+  // dropped
+  const restoreState = (saved = []) => {
+    saved.forEach((savedSequence) => {
+      const sequence = sequences[savedSequence.id];
+      if (!sequence) return;
+      sequence.staking.restoreState(savedSequence.staking);
+      sequence.marketId = savedSequence.marketId;
+      sequence.exposure = savedSequence.exposure || 0;
+    });
+  };
+
+  return {
+    sequences,
+    plan: stakingSettings.plan,
+    openCount,
+    canOpen,
+    exposure,
+    sequenceOf,
+    stake,
+    open,
+    setExposure,
+    close,
+    reset,
+    state,
+    restoreState,
+  };
+}
+
+module.exports = { createPositionBook };
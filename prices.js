@@ -0,0 +1,108 @@
+// Betfair price ladder and stake rounding. Prices are handled in hundredths
+// so that tick arithmetic stays exact.
+
+const minPrice = 1.01;
+const maxPrice = 1000;
+
+// [from, to, increment] in hundredths: 1.01-2 by 0.01, 2-3 by 0.02, ...
+const tickTable = [
+  [100, 200, 1],
+  [200, 300, 2],
+  [300, 400, 5],
+  [400, 600, 10],
+  [600, 1000, 20],
+  [1000, 2000, 50],
+  [2000, 3000, 100],
+  [3000, 5000, 200],
+  [5000, 10000, 500],
+  [10000, 100000, 1000],
+];
+
+const toHundredths = (price) => Math.round(price * 100);
+
+// The band a price falls in; a price on a boundary belongs to the lower band
+function bandOf(hundredths) {
+  return (
+    tickTable.find(([from, to]) => hundredths > from && hundredths <= to) ||
+    tickTable[0]
+  );
+}
+
+function clamp(price) {
+  return Math.min(Math.max(price, minPrice), maxPrice);
+}
+
+// Whether a price is on the ladder
+function isValidPrice(price) {
+  const hundredths = toHundredths(price);
+  if (Math.abs(price * 100 - hundredths) > 1e-6) return false;
+  if (price < minPrice || price > maxPrice) return false;
+  const [from, , increment] = bandOf(hundredths);
+  return (hundredths - from) % increment === 0;
+}
+
+// Snap a price to the ladder: "down" to the tick at or below it, "up" to the
+// tick at or above it, or "nearest" (ties go down)
+function snapPrice(price, direction = "down") {
+  if (!(price > 0)) throw new Error(`Invalid price: ${price}`);
+  // Float noise must not push a valid price onto the next tick
+  const exact = price * 100;
+  const hundredths =
+    Math.abs(exact - Math.round(exact)) < 1e-6 ? Math.round(exact) : exact;
+  const clamped = Math.min(Math.max(hundredths, 101), 100000);
+  const [from, , increment] = bandOf(Math.ceil(clamped));
+  const below = from + Math.floor((clamped - from) / increment) * increment;
+  const above = below === clamped ? below : below + increment;
+  let snapped;
+  if (direction === "up") snapped = above;
+  else if (direction === "down") snapped = below;
+  else snapped = above - clamped < clamped - below ? above : below;
+  return clamp(snapped / 100);
+}
+
+// Move a valid price a number of ticks up (positive) or down (negative)
+function addTicks(price, ticks) {
+  let hundredths = toHundredths(snapPrice(price, "nearest"));
+  for (let i = 0; i < Math.abs(ticks); i++) {
+    if (ticks > 0) {
+      if (hundredths >= 100000) break;
+      hundredths += bandOf(hundredths + 1)[2];
+    } else {
+      if (hundredths <= 101) break;
+      hundredths -= bandOf(hundredths)[2];
+    }
+  }
+  return hundredths / 100;
+}
+
+// Number of ticks from one price to another (negative when going down)
+function ticksBetween(from, to) {
+  let ticks = 0;
+  let price = snapPrice(from, "nearest");
+  const target = snapPrice(to, "nearest");
+  while (price < target) {
+    price = addTicks(price, 1);
+    ticks++;
+  }
+  while (price > target) {
+    price = addTicks(price, -1);
+    ticks--;
+  }
+  return ticks;
+}
+
+// Stakes go to the exchange in whole cents
+function roundStake(size) {
+  return Math.round((size + Number.EPSILON) * 100) / 100;
+}
+
+module.exports = {
+  minPrice,
+  maxPrice,
+  tickTable,
+  isValidPrice,
+  snapPrice,
+  addTicks,
+  ticksBetween,
+  roundStake,
+};
@@ -0,0 +1,261 @@
+const fs = require("fs");
+const chalk = require("chalk");
+const { saveState, loadState } = require("./state");
+
+// Elo ratings per player. Each settled match moves the winner's rating up
+// and the loser's down by kFactor times how unexpected the result was. The
+// rating gap gives a pre-match win probability, which is turned into a
+// probability per set (sets taken as independent, best of three) and from
+// there into the chance of winning from any set score, such as one set
+// down. Players are matched by their Betfair runner names.
+
+// Pre-match probability of a player rated `rating` beating one rated
+// `opponent`
+function expectedScore(rating, opponent) {
+  return 1 / (1 + Math.pow(10, (opponent - rating) / 400));
+}
+
+// Probability of winning `needed` sets before the opponent wins
+// `opponentNeeded`, winning each set with probability s
+function setsProbability(s, needed, opponentNeeded) {
+  let total = 0;
+  let ways = 1;
+  for (let lost = 0; lost < opponentNeeded; lost++) {
+    // Ways to win the last set after needed - 1 won and `lost` lost
+    if (lost > 0) ways = (ways * (needed - 1 + lost)) / lost;
+    total += ways * Math.pow(s, needed) * Math.pow(1 - s, lost);
+  }
+  return total;
+}
+
+// Per-set probability that gives the pre-match probability over a whole
+// match, found by bisection
+function setProbability(matchProbability, setsToWin = 2) {
+  let low = 0;
+  let high = 1;
+  for (let i = 0; i < 50; i++) {
+    const mid = (low + high) / 2;
+    if (setsProbability(mid, setsToWin, setsToWin) < matchProbability)
+      low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2;
+}
+
+// Probability of winning the match from a set score, given the pre-match
+// probability
+function winProbability(
+  matchProbability,
+  { setsWon = 0, setsLost = 0, setsToWin = 2 } = {}
+) {
+  return setsProbability(
+    setProbability(matchProbability, setsToWin),
+    setsToWin - setsWon,
+    setsToWin - setsLost
+  );
+}
+
+// Expected profit per unit staked on a back bet at price, commission
+// charged on winnings
+function expectedValue(probability, price, commissionRate) {
+  return probability * (price - 1) * (1 - commissionRate) - (1 - probability);
+}
+
+// Names as Betfair and result files may write them differently: case and
+// spacing are ignored
+const playerKey = (name) => name.trim().replace(/\s+/g, " ").toLowerCase();
+
+// Create the ratings from the "ratings" config section
+function createRatings(settings) {
+  // playerKey -> { name, rating, matches }
+  const players = {};
+
+  const player = (name) => players[playerKey(name)];
+  const ratingOf = (name) => player(name)?.rating ?? settings.initialRating;
+
+  // Pre-match probability of playerA beating playerB, or null while either
+  // has played fewer than minMatches rated matches
+  const probability = (playerA, playerB) => {
+    const a = player(playerA);
+    const b = player(playerB);
+    if ((a?.matches || 0) < settings.minMatches) return null;
+    if ((b?.matches || 0) < settings.minMatches) return null;
+    return expectedScore(a.rating, b.rating);
+  };
+
+  // Move both ratings after a match; returns the change to the winner's
+  const recordResult = (winner, loser) => {
+    const expected = expectedScore(ratingOf(winner), ratingOf(loser));
+    const change = settings.kFactor * (1 - expected);
+    [
+      [winner, change],
+      [loser, -change],
+    ].forEach(([name, delta]) => {
+      const key = playerKey(name);
+      players[key] = {
+        name,
+        rating: ratingOf(name) + delta,
+        matches: (players[key]?.matches || 0) + 1,
+      };
+    });
+    return change;
+  };
+
+  // Players by rating, highest first
+  const ranking = () =>
+    Object.values(players).sort((a, b) => b.rating - a.rating);
+
+  const restoreState = (saved = {}) => Object.assign(players, saved);
+
+  return {
+    players,
+    ratingOf,
+    probability,
+    recordResult,
+    ranking,
+    restoreState,
+  };
+}
+
+// Fields of each line of a CSV text; quoted fields may hold commas, quotes
+// ("") and line breaks
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') field += text[i++];
+      else if (char === '"') quoted = false;
+      else field += char;
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) rows.push([...row, field]);
+  return rows.filter((fields) => fields.some((f) => f.trim()));
+}
+
+// Match results from a CSV file with winner and loser columns and
+// optionally a date column (any case), oldest first. Rows without both
+// names or with an unreadable date are skipped.
+function readResults(file) {
+  const [header = [], ...rows] = parseCsv(fs.readFileSync(file, "utf8"));
+  const column = (name) =>
+    header.findIndex((title) => title.trim().toLowerCase() === name);
+  const winner = column("winner");
+  const loser = column("loser");
+  const date = column("date");
+  if (winner === -1 || loser === -1)
+    throw new Error(`${file} needs winner and loser columns`);
+  const results = [];
+  let skipped = 0;
+  rows.forEach((fields) => {
+    const time = date === -1 ? 0 : Date.parse(fields[date]);
+    if (!fields[winner]?.trim() || !fields[loser]?.trim() || isNaN(time)) {
+      skipped++;
+      return;
+    }
+    results.push({
+      winner: fields[winner].trim(),
+      loser: fields[loser].trim(),
+      time,
+    });
+  });
+  // Array.prototype.sort is stable, so same-day results keep file order
+  results.sort((a, b) => a.time - b.time);
+  return { results, skipped };
+}
+
+// Load the ratings saved in file, if there are any
+function loadRatings(ratings, file) {
+  const saved = loadState(file);
+  if (saved) ratings.restoreState(saved.players);
+  return !!saved;
+}
+
+function saveRatings(ratings, file) {
+  saveState(file, { players: ratings.players });
+}
+
+// Parse "--name value" and "--name=value" command-line options
+function parseArgs(argv) {
+  const options = { import: [], top: 20 };
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--([^=]+)(?:=(.*))?$/);
+    if (!match || !["import", "top"].includes(match[1]))
+      throw new Error(`Unexpected argument: ${argv[i]}`);
+    const value = match[2] !== undefined ? match[2] : argv[++i];
+    if (value === undefined) throw new Error(`Missing value for --${match[1]}`);
+    if (match[1] === "import") options.import.push(value);
+    else options.top = Number(value);
+    if (isNaN(options.top)) throw new Error("--top must be a number");
+  }
+  return options;
+}
+
+module.exports = {
+  expectedScore,
+  setProbability,
+  winProbability,
+  expectedValue,
+  createRatings,
+  readResults,
+  loadRatings,
+  saveRatings,
+};
+
+// Seed the ratings file from result files and print the top of the ranking.
+// Settings come from the bot's configuration ("ratings" section).
+if (require.main === module) {
+  // Required after the exports are set: the configuration loads the
+  // strategies, which use them
+  const { loadConfig } = require("./config");
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    const settings = loadConfig({ argv: [] }).config.ratings;
+    const ratings = createRatings(settings);
+    loadRatings(ratings, settings.file);
+    options.import.forEach((file) => {
+      const { results, skipped } = readResults(file);
+      results.forEach(({ winner, loser }) =>
+        ratings.recordResult(winner, loser)
+      );
+      console.log(
+        chalk.cyan(
+          `Imported ${results.length} results from ${file}` +
+            (skipped ? ` (${skipped} rows skipped)` : "")
+        )
+      );
+    });
+    if (options.import.length > 0) saveRatings(ratings, settings.file);
+    ratings
+      .ranking()
+      .slice(0, options.top)
+      .forEach((player, i) =>
+        console.log(
+          `  ${String(i + 1).padStart(3)}  ${player.rating
+            .toFixed(0)
+            .padStart(5)}  ${String(player.matches).padStart(4)}  ${
+            player.name
+          }`
+        )
+      );
+  } catch (error) {
+    console.error(chalk.red(`Ratings failed: ${error.message}`));
+    process.exit(1);
+  }
+}
@@ -0,0 +1,349 @@
+const chalk = require("chalk");
+const { loadEvents } = require("./backtest");
+
+// Summaries of what the bot recorded in games/*.ndjson: PNL per day and per
+// ISO week, win rate per first-set scoreline, ROI per underdog odds bucket,
+// staking sequence lengths and how often the betting condition was met
+// compared with how often a bet was placed.
+
+const defaultOptions = {
+  dir: "games",
+  format: "table",
+  table: "",
+  mode: "all",
+  from: "",
+  to: "",
+  oddsBuckets: [2, 2.5, 3, 4, 5, 7, 10],
+  includeTestBets: false,
+};
+
+const formats = ["table", "csv", "json"];
+const modes = ["all", "live", "simulated"];
+const tableNames = [
+  "summary",
+  "daily",
+  "weekly",
+  "scorelines",
+  "oddsBuckets",
+  "sequences",
+];
+
+// Parse "--name value" and "--name=value" command-line options
+function parseArgs(argv) {
+  const options = { ...defaultOptions };
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--([^=]+)(?:=(.*))?$/);
+    if (!match) throw new Error(`Unexpected argument: ${argv[i]}`);
+    const key = match[1].replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+    if (!(key in defaultOptions))
+      throw new Error(`Unknown option: --${match[1]}`);
+    if (typeof defaultOptions[key] === "boolean") {
+      options[key] = match[2] === undefined ? true : match[2] === "true";
+      continue;
+    }
+    const value = match[2] !== undefined ? match[2] : argv[++i];
+    if (value === undefined) throw new Error(`Missing value for --${match[1]}`);
+    if (Array.isArray(defaultOptions[key])) {
+      options[key] = value.split(",").map((item) => Number(item.trim()));
+      if (options[key].some((n) => isNaN(n)))
+        throw new Error(`Option --${match[1]} must be a list of numbers`);
+      options[key].sort((a, b) => a - b);
+    } else {
+      options[key] = value;
+    }
+  }
+  if (!formats.includes(options.format))
+    throw new Error(`--format must be ${formats.join(", ")}`);
+  if (!modes.includes(options.mode))
+    throw new Error(`--mode must be ${modes.join(", ")}`);
+  if (options.table && !tableNames.includes(options.table))
+    throw new Error(`--table must be ${tableNames.join(", ")}`);
+  return options;
+}
+
+const round = (n) => Math.round(n * 100) / 100;
+const percent = (part, whole) => (whole > 0 ? round((part / whole) * 100) : 0);
+
+// ISO 8601 week of a timestamp, as "2026-W42"
+function isoWeek(timestamp) {
+  const date = new Date(timestamp.slice(0, 10));
+  // The week belongs to the year of its Thursday
+  date.setUTCDate(date.getUTCDate() + 3 - ((date.getUTCDay() + 6) % 7));
+  const yearStart = Date.UTC(date.getUTCFullYear(), 0, 1);
+  const week = Math.ceil(((date - yearStart) / 86400000 + 1) / 7);
+  return `${date.getUTCFullYear()}-W${String(week).padStart(2, "0")}`;
+}
+
+// First-set scoreline with the set winner's games first ("6-4", "7-6")
+function scoreline(set) {
+  const high = Math.max(set.homeScore, set.awayScore);
+  const low = Math.min(set.homeScore, set.awayScore);
+  return `${high}-${low}`;
+}
+
+// Label of the odds bucket a price falls in, from the sorted bucket edges
+function oddsBucket(price, edges) {
+  const upper = edges.findIndex((edge) => price < edge);
+  if (upper === 0) return `<${edges[0].toFixed(2)}`;
+  if (upper === -1) return `>=${edges[edges.length - 1].toFixed(2)}`;
+  return `${edges[upper - 1].toFixed(2)}-${edges[upper].toFixed(2)}`;
+}
+
+// Merge the events of each market into one record: its first set and bet
+function collectMarkets(events, options) {
+  const markets = {};
+  // Baseline entries such as odds_update and market_closed carry no market
+  // id, so each event's market is taken from any of its entries first
+  const marketByEvent = {};
+  events.forEach((event) => {
+    if (event.eventId === undefined || !event.marketId) return;
+    if (!marketByEvent[event.eventId])
+      marketByEvent[event.eventId] = event.marketId;
+  });
+  const marketFor = (event) => {
+    const marketId =
+      event.marketId ?? marketByEvent[event.eventId] ?? event.eventId;
+    if (marketId === undefined) return null;
+    if (!markets[marketId])
+      markets[marketId] = { marketId, firstSet: null, bet: null };
+    return markets[marketId];
+  };
+  const inRange = (timestamp) =>
+    (!options.from || timestamp.slice(0, 10) >= options.from) &&
+    (!options.to || timestamp.slice(0, 10) <= options.to);
+
+  events.forEach((event) => {
+    if (!inRange(event.timestamp)) return;
+    const market = marketFor(event);
+    if (!market) return;
+    if (event.type === "set_completed" && event.set === 1) {
+      market.firstSet = event;
+    } else if (event.type === "bet_placed") {
+      if (event.isTestBet && !options.includeTestBets) return;
+      if (options.mode !== "all" && event.mode !== options.mode) return;
+      market.bet = {
+        timestamp: event.timestamp,
+        mode: event.mode,
+        size: event.size,
+        price: event.price,
+        sequence: event.staking?.sequence ?? 0,
+        outcome: null,
+        pnl: 0,
+      };
+    } else if (event.type === "bet_matched" && market.bet) {
+      market.bet.size = event.size;
+      market.bet.price = event.price ?? market.bet.price;
+    } else if (event.type === "bet_cancelled") {
+      market.bet = null;
+    } else if (event.type === "bet_outcome" && market.bet) {
+      market.bet.outcome = event.outcome;
+      market.bet.pnl = event.pnl;
+      market.bet.settledAt = event.timestamp;
+      if (event.size !== undefined) market.bet.size = event.size;
+      if (event.averagePrice) market.bet.price = event.averagePrice;
+    }
+  });
+  return Object.values(markets);
+}
+
+// Bets, wins, stake and PNL over a group of bets; voided and still open
+// bets are counted apart
+function totals(bets) {
+  const settled = bets.filter(
+    (b) => b.outcome === "win" || b.outcome === "lose"
+  );
+  const wins = settled.filter((b) => b.outcome === "win").length;
+  const staked = settled.reduce((sum, b) => sum + b.size, 0);
+  const pnl = settled.reduce((sum, b) => sum + b.pnl, 0);
+  return {
+    bets: bets.length,
+    wins,
+    losses: settled.length - wins,
+    voids: bets.filter((b) => b.outcome === "void").length,
+    open: bets.filter((b) => !b.outcome).length,
+    winRate: percent(wins, settled.length),
+    staked: round(staked),
+    pnl: round(pnl),
+    roi: percent(pnl, staked),
+  };
+}
+
+// Rows of totals per key, in key order
+function groupBy(bets, keyOf, column) {
+  const groups = {};
+  bets.forEach((bet) => {
+    const key = keyOf(bet);
+    groups[key] = groups[key] || [];
+    groups[key].push(bet);
+  });
+  return Object.keys(groups)
+    .sort()
+    .map((key) => ({ [column]: key, ...totals(groups[key]) }));
+}
+
+// Lengths of the staking sequences: consecutive settled bets in one
+// sequence up to and including a win. A run not yet ended by a win is
+// counted separately as open.
+function sequenceLengths(bets) {
+  const runs = {};
+  const lengths = {};
+  bets
+    .filter((b) => b.outcome === "win" || b.outcome === "lose")
+    .sort((a, b) => Date.parse(a.settledAt) - Date.parse(b.settledAt))
+    .forEach((bet) => {
+      runs[bet.sequence] = (runs[bet.sequence] || 0) + 1;
+      if (bet.outcome !== "win") return;
+      const length = runs[bet.sequence];
+      lengths[length] = (lengths[length] || 0) + 1;
+      runs[bet.sequence] = 0;
+    });
+  const rows = Object.keys(lengths)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .map((length) => ({ length, sequences: lengths[length], open: 0 }));
+  Object.values(runs)
+    .filter((length) => length > 0)
+    .forEach((length) => {
+      const row = rows.find((r) => r.length === length);
+      if (row) row.open++;
+      else rows.push({ length, sequences: 0, open: 1 });
+    });
+  return rows.sort((a, b) => a.length - b.length);
+}
+
+// Build every table from the loaded events
+function buildReport(events, options = defaultOptions) {
+  const markets = collectMarkets(events, options);
+  const bets = markets
+    .filter((m) => m.bet)
+    .map((m) => ({ ...m.bet, market: m }));
+  const settledBets = bets.filter((b) => b.settledAt);
+  const firstSets = markets.filter((m) => m.firstSet);
+
+  const scorelines = {};
+  firstSets.forEach((market) => {
+    const key = scoreline(market.firstSet);
+    scorelines[key] = scorelines[key] || { sets: 0, conditionsMet: 0 };
+    scorelines[key].sets++;
+    if (market.firstSet.conditionMet) scorelines[key].conditionsMet++;
+  });
+
+  const conditionsMet = firstSets.filter((m) => m.firstSet.conditionMet).length;
+  const betsAfterCondition = bets.filter(
+    (b) => b.market.firstSet?.conditionMet
+  ).length;
+  const sequences = sequenceLengths(bets);
+
+  return {
+    summary: [
+      {
+        markets: markets.length,
+        setsCompleted: firstSets.length,
+        conditionsMet,
+        betsAfterCondition,
+        conditionsWithoutBet: conditionsMet - betsAfterCondition,
+        betRate: percent(betsAfterCondition, conditionsMet),
+        ...totals(bets),
+        longestSequence: sequences.reduce(
+          (max, row) => Math.max(max, row.length),
+          0
+        ),
+      },
+    ],
+    daily: groupBy(settledBets, (b) => b.settledAt.slice(0, 10), "day"),
+    weekly: groupBy(settledBets, (b) => isoWeek(b.settledAt), "week"),
+    scorelines: Object.keys(scorelines)
+      .sort()
+      .map((key) => ({
+        scoreline: key,
+        sets: scorelines[key].sets,
+        conditionsMet: scorelines[key].conditionsMet,
+        ...totals(
+          bets.filter(
+            (b) => b.market.firstSet && scoreline(b.market.firstSet) === key
+          )
+        ),
+      })),
+    oddsBuckets: options.oddsBuckets.length
+      ? groupBy(bets, (b) => oddsBucket(b.price, options.oddsBuckets), "odds")
+      : [],
+    sequences,
+  };
+}
+
+// Quote a CSV field when it holds a separator, quote or line break
+function csvField(value) {
+  const text = String(value ?? "");
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+  if (rows.length === 0) return "";
+  const columns = Object.keys(rows[0]);
+  return [columns, ...rows.map((row) => columns.map((c) => row[c]))]
+    .map((fields) => fields.map(csvField).join(","))
+    .join("\n");
+}
+
+// Render rows as a padded text table; numbers are right-aligned
+function toTable(rows) {
+  if (rows.length === 0) return chalk.yellow("  No data");
+  const columns = Object.keys(rows[0]);
+  const widths = columns.map((c) =>
+    Math.max(c.length, ...rows.map((row) => String(row[c]).length))
+  );
+  const pad = (value, i) =>
+    typeof value === "number"
+      ? String(value).padStart(widths[i])
+      : String(value).padEnd(widths[i]);
+  return [
+    chalk.cyan(`  ${columns.map((c, i) => c.padEnd(widths[i])).join("  ")}`),
+    ...rows.map(
+      (row) => `  ${columns.map((c, i) => pad(row[c], i)).join("  ")}`
+    ),
+  ].join("\n");
+}
+
+// Render the report in the chosen format, limited to one table with --table
+function formatReport(report, options) {
+  const names = options.table ? [options.table] : tableNames;
+  if (options.format === "json") {
+    const selected = {};
+    names.forEach((name) => (selected[name] = report[name]));
+    return JSON.stringify(
+      options.table ? report[options.table] : selected,
+      null,
+      2
+    );
+  }
+  if (options.format === "csv") {
+    if (options.table) return toCsv(report[options.table]);
+    return names
+      .map((name) => `# ${name}\n${toCsv(report[name])}`)
+      .join("\n\n");
+  }
+  return names
+    .map((name) => `${chalk.cyan(`${name}:`)}\n${toTable(report[name])}`)
+    .join("\n\n");
+}
+
+if (require.main === module) {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    const { events } = loadEvents(options.dir);
+    console.log(formatReport(buildReport(events, options), options));
+  } catch (error) {
+    console.error(chalk.red(`Report failed: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  defaultOptions,
+  parseArgs,
+  isoWeek,
+  buildReport,
+  formatReport,
+  toTable,
+  toCsv,
+};
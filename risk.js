@@ -0,0 +1,155 @@
+// Risk limits every bet must pass before it is placed. A limit set to 0 is off.
+// Martingale depth (consecutive losses) is counted per staking sequence.
+
+function dayOf(date) {
+  return date.toISOString().split("T")[0];
+}
+
+// Create a risk manager from the "risk" config section
+function createRiskManager(limits, now = () => new Date()) {
+  const state = {
+    day: dayOf(now()),
+    dailyPnl: 0,
+    betsToday: 0,
+    depths: {},
+    halted: false,
+    haltReason: null,
+  };
+
+  // Daily counters start over at midnight UTC; a halt does not
+  const rollDay = () => {
+    const today = dayOf(now());
+    if (today !== state.day) {
+      state.day = today;
+      state.dailyPnl = 0;
+      state.betsToday = 0;
+    }
+  };
+
+  const halt = (reason) => {
+    state.halted = true;
+    state.haltReason = reason;
+  };
+
+  // Check a proposed bet; returns { allowed } or { allowed: false, rule, reason }
+  const checkBet = ({
+    stake,
+    price,
+    availableSize,
+    sequence = 0,
+    openExposure = 0,
+  }) => {
+    rollDay();
+    const reject = (rule, reason) => ({ allowed: false, rule, reason });
+    const depth = state.depths[sequence] || 0;
+    if (state.halted)
+      return reject("halted", `Betting halted: ${state.haltReason}`);
+    if (limits.maxMartingaleDepth && depth > limits.maxMartingaleDepth)
+      return reject(
+        "max_martingale_depth",
+        `Martingale depth ${depth} exceeds ${limits.maxMartingaleDepth}`
+      );
+    if (limits.maxStake && stake > limits.maxStake)
+      return reject(
+        "max_stake",
+        `Stake ${stake.toFixed(2)} exceeds max stake ${limits.maxStake}`
+      );
+    if (limits.maxExposure && openExposure + stake > limits.maxExposure)
+      return reject(
+        "max_exposure",
+        `Stake ${stake.toFixed(2)} on top of ${openExposure.toFixed(
+          2
+        )} already open exceeds max exposure ${limits.maxExposure}`
+      );
+    if (limits.maxDailyLoss && -state.dailyPnl + stake > limits.maxDailyLoss)
+      return reject(
+        "max_daily_loss",
+        `Losing stake ${stake.toFixed(2)} would take today's loss past ${
+          limits.maxDailyLoss
+        } (PNL today ${state.dailyPnl.toFixed(2)})`
+      );
+    if (limits.dailyProfitTarget && state.dailyPnl >= limits.dailyProfitTarget)
+      return reject(
+        "daily_profit_target",
+        `Daily profit target ${
+          limits.dailyProfitTarget
+        } reached (PNL today ${state.dailyPnl.toFixed(2)})`
+      );
+    if (limits.maxBetsPerDay && state.betsToday >= limits.maxBetsPerDay)
+      return reject(
+        "max_bets_per_day",
+        `${state.betsToday} bets placed today, limit ${limits.maxBetsPerDay}`
+      );
+    if (limits.minLiquidity && !(availableSize >= limits.minLiquidity))
+      return reject(
+        "min_liquidity",
+        `Only ${availableSize || 0} available at ${price}, need ${
+          limits.minLiquidity
+        }`
+      );
+    return { allowed: true };
+  };
+
+  const recordBet = () => {
+    rollDay();
+    state.betsToday++;
+  };
+
+  // Record a settled bet of a sequence; returns "reset" or "halt" when the
+  // depth cap is hit
+  const recordResult = (pnl, isWin, sequence = 0) => {
+    rollDay();
+    state.dailyPnl += pnl;
+    const depth = isWin ? 0 : (state.depths[sequence] || 0) + 1;
+    state.depths[sequence] = depth;
+    if (limits.maxDailyLoss && -state.dailyPnl >= limits.maxDailyLoss) {
+      halt(
+        `daily loss ${(-state.dailyPnl).toFixed(2)} reached limit ${
+          limits.maxDailyLoss
+        }`
+      );
+      return "halt";
+    }
+    if (limits.maxMartingaleDepth && depth > limits.maxMartingaleDepth) {
+      if (limits.onMaxDepth === "reset") {
+        state.depths[sequence] = 0;
+        return "reset";
+      }
+      halt(
+        `${depth} consecutive losses exceed max martingale depth ${limits.maxMartingaleDepth}`
+      );
+      return "halt";
+    }
+    return null;
+  };
+
+  // Explicitly clear a halt, starting every martingale sequence over
+  const resetHalt = () => {
+    state.halted = false;
+    state.haltReason = null;
+    state.depths = {};
+  };
+
+  // Forget the consecutive losses of every sequence, keeping any halt
+  const resetDepths = () => {
+    state.depths = {};
+  };
+
+  // Restore counters and any halt saved before a restart
+  const restoreState = (saved) => {
+    Object.assign(state, saved);
+    rollDay();
+  };
+
+  return {
+    state,
+    checkBet,
+    recordBet,
+    recordResult,
+    resetHalt,
+    resetDepths,
+    restoreState,
+  };
+}
+
+module.exports = { createRiskManager };
@@ -0,0 +1,181 @@
+const http = require("http");
+const https = require("https");
+const fs = require("fs");
+
+// Error codes meaning the session token is no longer valid
+const sessionErrorCodes = ["INVALID_SESSION_INFORMATION", "NO_SESSION"];
+
+function isSessionError(text) {
+  return sessionErrorCodes.some((code) => String(text).includes(code));
+}
+
+// POST a form with an optional client certificate; fetch cannot send one
+function postForm(url, headers, form, tlsOptions) {
+  const target = new URL(url);
+  const transport = target.protocol === "https:" ? https : http;
+  const body = new URLSearchParams(form).toString();
+  return new Promise((resolve, reject) => {
+    const req = transport.request(
+      target,
+      {
+        method: "POST",
+        headers: {
+          ...headers,
+          "Content-Type": "application/x-www-form-urlencoded",
+          "Content-Length": Buffer.byteLength(body),
+        },
+        ...(target.protocol === "https:" ? tlsOptions : {}),
+      },
+      (res) => {
+        let raw = "";
+        res.on("data", (chunk) => (raw += chunk));
+        res.on("end", () => {
+          if (res.statusCode < 200 || res.statusCode >= 300)
+            return reject(new Error(`${res.statusCode} ${raw}`));
+          try {
+            resolve(JSON.parse(raw));
+          } catch (error) {
+            reject(new Error(`Unreadable response: ${raw.slice(0, 200)}`));
+          }
+        });
+      }
+    );
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+// Create a session manager: logs in (interactive or certificate), keeps the
+// session alive on a schedule and logs in again when the session is lost.
+// onRefresh(token) is called after every successful re-login and
+// onLoginFailed(error) after every failed one.
+function createSessionManager(
+  settings,
+  credentials,
+  { log, onRefresh, onLoginFailed = () => {} }
+) {
+  let token = null;
+  let keepAliveTimer = null;
+  let pendingLogin = null;
+
+  const interactiveLogin = async () => {
+    const response = await fetch(settings.loginEndpoint, {
+      method: "POST",
+      headers: {
+        "X-Application": credentials.appKey,
+        "Content-Type": "application/x-www-form-urlencoded",
+        Accept: "application/json",
+      },
+      body: new URLSearchParams({
+        username: credentials.username,
+        password: credentials.password,
+      }),
+    });
+    if (!response.ok)
+      throw new Error(`${response.status} ${await response.text()}`);
+    const data = await response.json();
+    if (data.status && data.status !== "SUCCESS")
+      throw new Error(`${data.status} ${data.error || ""}`.trim());
+    return data.token;
+  };
+
+  // Non-interactive bot login with the certificate registered at Betfair
+  const certificateLogin = async () => {
+    const data = await postForm(
+      settings.certLoginEndpoint,
+      { "X-Application": credentials.appKey, Accept: "application/json" },
+      { username: credentials.username, password: credentials.password },
+      {
+        cert: fs.readFileSync(settings.certFile),
+        key: fs.readFileSync(settings.keyFile),
+      }
+    );
+    if (data.loginStatus !== "SUCCESS")
+      throw new Error(`Certificate login failed: ${data.loginStatus}`);
+    return data.sessionToken;
+  };
+
+  const login = async () => {
+    const endpoint =
+      settings.loginMode === "certificate"
+        ? settings.certLoginEndpoint
+        : settings.loginEndpoint;
+    log.info(`Attempting ${settings.loginMode} login to ${endpoint}`);
+    token =
+      settings.loginMode === "certificate"
+        ? await certificateLogin()
+        : await interactiveLogin();
+    log.success("Logged in successfully");
+    return token;
+  };
+
+  // Log in again; concurrent callers share the same attempt
+  const relogin = (reason) => {
+    if (!pendingLogin) {
+      log.warn(`Session lost (${reason}), logging in again`);
+      pendingLogin = login()
+        .then((newToken) => {
+          onRefresh(newToken);
+          return newToken;
+        })
+        .catch((error) => {
+          onLoginFailed(error);
+          throw error;
+        })
+        .finally(() => {
+          pendingLogin = null;
+        });
+    }
+    return pendingLogin;
+  };
+
+  const keepAlive = async () => {
+    let reason;
+    try {
+      const response = await fetch(settings.keepAliveEndpoint, {
+        method: "POST",
+        headers: {
+          "X-Application": credentials.appKey,
+          "X-Authentication": token,
+          Accept: "application/json",
+        },
+      });
+      const data = response.ok ? await response.json() : {};
+      if (data.status === "SUCCESS") {
+        log.info("Session kept alive");
+        return;
+      }
+      reason = `keepAlive ${data.error || response.status}`;
+    } catch (error) {
+      log.error(`Keep-alive failed: ${error.message}`);
+      reason = "keepAlive error";
+    }
+    // Outside the request's try, so a failed login isn't tried twice
+    try {
+      await relogin(reason);
+    } catch (loginError) {
+      log.error(`Re-login failed: ${loginError.message}`);
+    }
+  };
+
+  const start = () => {
+    if (keepAliveTimer || !settings.keepAliveIntervalMs) return;
+    keepAliveTimer = setInterval(keepAlive, settings.keepAliveIntervalMs);
+  };
+
+  const stop = () => {
+    clearInterval(keepAliveTimer);
+    keepAliveTimer = null;
+  };
+
+  return {
+    token: () => token,
+    login,
+    relogin,
+    keepAlive,
+    start,
+    stop,
+  };
+}
+
+module.exports = { createSessionManager, isSessionError, sessionErrorCodes };
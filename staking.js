@@ -0,0 +1,155 @@
+const { martingaleStake, nextMultiplier } = require("./strategy");
+
+// Staking plans. Every plan sizes bets from a base unit of betPercentage% of
+// the balance (except fixed and kelly) and keeps its own progression state,
+// which is saved with the bot's state.
+
+const fibonacci = (n) => {
+  let [a, b] = [1, 1];
+  for (let i = 0; i < n; i++) [a, b] = [b, a + b];
+  return a;
+};
+
+const plans = {
+  // Double after a loss, back to one unit after a win
+  martingale: {
+    initialState: () => ({ multiplier: 1 }),
+    stake: (state, { unit }) => ({
+      stake: unit * state.multiplier,
+      multiplier: state.multiplier,
+    }),
+    recordResult: (state, { isWin }) => {
+      state.multiplier = nextMultiplier(state.multiplier, isWin);
+    },
+  },
+
+  // Size the bet so a win at this price recovers every loss since the last
+  // win plus the target (recoveryTarget, or one unit when 0)
+  recovery: {
+    initialState: () => ({ lossesToRecover: 0 }),
+    stake: (state, { unit, price, settings, commissionRate }) => {
+      const target = settings.recoveryTarget || unit;
+      const netOdds = (price - 1) * (1 - commissionRate);
+      return {
+        stake: netOdds > 0 ? (state.lossesToRecover + target) / netOdds : 0,
+        lossesToRecover: state.lossesToRecover,
+        target,
+      };
+    },
+    recordResult: (state, { isWin, pnl }) => {
+      state.lossesToRecover = isWin
+        ? Math.max(state.lossesToRecover - pnl, 0)
+        : state.lossesToRecover - pnl;
+    },
+  },
+
+  fixed: {
+    initialState: () => ({}),
+    stake: (state, { settings }) => ({ stake: settings.fixedStake }),
+    recordResult: () => {},
+  },
+
+  percentage: {
+    initialState: () => ({}),
+    stake: (state, { unit }) => ({ stake: unit }),
+    recordResult: () => {},
+  },
+
+  // Kelly criterion on the net odds, scaled by kellyFraction. The win
+  // probability comes from the strategy's intent or kellyProbability; no
+  // edge means no bet.
+  kelly: {
+    initialState: () => ({}),
+    stake: (
+      state,
+      { balance, price, probability, settings, commissionRate }
+    ) => {
+      const p = probability || settings.kellyProbability;
+      const netOdds = (price - 1) * (1 - commissionRate);
+      if (!p || netOdds <= 0) return { stake: 0, probability: p || null };
+      const edge = (netOdds * p - (1 - p)) / netOdds;
+      return {
+        stake: edge > 0 ? balance * edge * settings.kellyFraction : 0,
+        probability: p,
+        edge,
+      };
+    },
+    recordResult: () => {},
+  },
+
+  // Units follow the Fibonacci sequence: one step up after a loss, two
+  // steps back after a win
+  fibonacci: {
+    initialState: () => ({ step: 0 }),
+    stake: (state, { unit }) => ({
+      stake: unit * fibonacci(state.step),
+      step: state.step,
+    }),
+    recordResult: (state, { isWin }) => {
+      state.step = isWin ? Math.max(state.step - 2, 0) : state.step + 1;
+    },
+  },
+
+  // One unit more after a loss, one less after a win, never below one
+  dalembert: {
+    initialState: () => ({ units: 1 }),
+    stake: (state, { unit }) => ({
+      stake: unit * state.units,
+      units: state.units,
+    }),
+    recordResult: (state, { isWin }) => {
+      state.units = isWin ? Math.max(state.units - 1, 1) : state.units + 1;
+    },
+  },
+};
+
+const planNames = Object.keys(plans);
+
+// Create the staking subsystem from the "staking" config section
+function createStaking(settings, { betPercentage, commissionRate }) {
+  const plan = plans[settings.plan];
+  const states = Object.fromEntries(
+    planNames.map((name) => [name, plans[name].initialState()])
+  );
+
+  // Stake for the next bet; returns { plan, stake, ...what it was based on }
+  const stake = ({ balance, price, probability }) => {
+    const computed = plan.stake(states[settings.plan], {
+      unit: martingaleStake(balance, betPercentage, 1),
+      balance,
+      price,
+      probability,
+      settings,
+      commissionRate,
+    });
+    return { plan: settings.plan, ...computed };
+  };
+
+  // Advance the active plan's progression after a settled bet
+  const recordResult = (result) =>
+    plan.recordResult(states[settings.plan], result);
+
+  // Start the active plan's progression over
+  const reset = () => {
+    states[settings.plan] = plans[settings.plan].initialState();
+  };
+
+  // Restore the progressions saved before a restart
+  const restoreState = (saved = {}) => {
+    planNames.forEach((name) => {
+      if (saved[name]) states[name] = { ...states[name], ...saved[name] };
+    });
+  };
+
+  return {
+    plan: settings.plan,
+    states,
+    state: () => states[settings.plan],
+    stake,
+    recordResult,
+    reset,
+    restoreState,
+  };
+}
+
+module.exports = { planNames, createStaking };
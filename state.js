@@ -0,0 +1,30 @@
+const fs = require("fs");
+const path = require("path");
+
+// Write the snapshot to a temporary file and rename it over the old one, so
+// a crash mid-write leaves either the previous or the new state, never half
+function saveState(filePath, snapshot) {
+  const tempPath = path.join(
+    path.dirname(filePath),
+    `.${path.basename(filePath)}.${process.pid}.tmp`
+  );
+  const fd = fs.openSync(tempPath, "w");
+  try {
+    fs.writeSync(
+      fd,
+      JSON.stringify({ ...snapshot, savedAt: new Date().toISOString() })
+    );
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tempPath, filePath);
+}
+
+// Read a saved snapshot, or null when there is none
+function loadState(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+module.exports = { saveState, loadState };
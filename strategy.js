@@ -0,0 +1,64 @@
+const { firstSetConditions } = require("./tennisScore");
+
+// First-set underdog rule, shared by the live bot and the backtester
+const defaultRules = {
+  maxGameDifference: 2,
+  minUnderdogOdds: 2,
+  firstSetTiebreak: "any",
+  requireBreakPointInLastGame: false,
+  commissionRate: 0.05,
+};
+
+// Decide whether the first-set loser qualifies for a back bet. conditions
+// describe how the set was lost (see firstSetConditions in tennisScore.js)
+function evaluateFirstSet(
+  game,
+  set1,
+  rules = defaultRules,
+  conditions = firstSetConditions(game.match)
+) {
+  const homeScore = set1.homeScore || 0;
+  const awayScore = set1.awayScore || 0;
+  const difference = Math.abs(homeScore - awayScore);
+  const underdogIsB = homeScore > awayScore;
+  const underdogOdds = underdogIsB ? game.currentOdds.pB : game.currentOdds.pA;
+  return {
+    homeScore,
+    awayScore,
+    difference,
+    underdogOdds,
+    selectionId: underdogIsB ? game.selectionIdB : game.selectionIdA,
+    ...conditions,
+    conditionMet:
+      difference <= rules.maxGameDifference &&
+      underdogOdds >= rules.minUnderdogOdds &&
+      (rules.firstSetTiebreak !== "required" || conditions.firstSetTiebreak) &&
+      (rules.firstSetTiebreak !== "excluded" || !conditions.firstSetTiebreak) &&
+      (!rules.requireBreakPointInLastGame || conditions.breakPointInLastGame),
+  };
+}
+
+// Stake for the next bet: a percentage of the balance scaled by the martingale multiplier
+function martingaleStake(balance, betPercentage, multiplier) {
+  return (betPercentage / 100) * balance * multiplier;
+}
+
+// Profit or loss of a settled back bet, commission charged on winnings only
+function settleBackBet(bet, isWin, rules = defaultRules) {
+  return isWin
+    ? (bet.price - 1) * bet.size * (1 - rules.commissionRate)
+    : -bet.size;
+}
+
+// Martingale progression: reset after a win, double after a loss
+function nextMultiplier(multiplier, isWin) {
+  return isWin ? 1 : multiplier * 2;
+}
+
+module.exports = {
+  defaultRules,
+  evaluateFirstSet,
+  martingaleStake,
+  settleBackBet,
+  nextMultiplier,
+};
@@ -0,0 +1,198 @@
+const path = require("path");
+const { evaluateFirstSet } = require("./strategy");
+const { winProbability, expectedValue } = require("./ratings");
+
+// Betting strategies. A strategy is an object
+//   { name, state, onEvent(event) => intents }
+// created by a factory from the bot's configuration. state is a plain
+// object saved with the bot's state, so it survives restarts.
+//
+// Events are the same in live, simulation and backtest runs:
+//   { type, marketId, game, timestamp, ...fields }
+// game is the bot's record of the market (playerA/B, selectionIdA/B,
+// currentOdds { pA, pB }, sets, match, and with ratings enabled ratings
+// { ratingA, ratingB, probabilityA }) and must not be modified. Types:
+//   odds_update    best back prices changed while in play
+//   score_change   one change from tennisScore's updateMatchState (change)
+//   set_completed  set, homeScore, awayScore, tiebreak,
+//                  breakPointInLastGame, breaksAgainstLoser
+//   bet_placed     an intent became a bet (strategy, selectionId, price, size)
+//   bet_closed     that bet was settled or released
+//   market_closed  winnerSelectionId
+//
+// An intent asks the bot for a bet:
+//   { marketId, selectionId, side: "BACK", price, size, probability,
+//     isTestBet, reason }
+// Without a size the bot uses its staking plan; probability is the
+// strategy's estimate of the selection winning, used by Kelly staking and
+// recorded with the edge it gives in bet_placed. The bot still applies its
+// own limits (one open bet, risk rules) before placing anything.
+
+// The chance of a player winning after losing the first set, from the
+// pre-match rating probability; null when the players aren't rated
+function firstSetLoserProbability(game, selectionId) {
+  const probabilityA = game.ratings?.probabilityA;
+  if (typeof probabilityA !== "number") return null;
+  return winProbability(
+    selectionId === game.selectionIdA ? probabilityA : 1 - probabilityA,
+    { setsLost: 1 }
+  );
+}
+
+// Back the first-set loser when it lost narrowly and is priced as an
+// underdog. With ratings.requireEdge the rating model must also give it an
+// expected value above ratings.minEdgePercent at the current price.
+function firstSetUnderdog(settings) {
+  const rules = {
+    maxGameDifference: settings.maxGameDifference,
+    minUnderdogOdds: settings.minUnderdogOdds,
+    firstSetTiebreak: settings.firstSetTiebreak,
+    requireBreakPointInLastGame: settings.requireBreakPointInLastGame,
+    commissionRate: settings.commissionRate,
+  };
+  return {
+    name: "firstSetUnderdog",
+    state: {},
+    onEvent(event) {
+      if (event.type !== "set_completed" || event.set !== 1) return [];
+      const decision = evaluateFirstSet(event.game, event, rules, {
+        firstSetTiebreak: !!event.tiebreak,
+        breakPointInLastGame: !!event.breakPointInLastGame,
+        breaksAgainstLoser: event.breaksAgainstLoser || 0,
+      });
+      if (!decision.conditionMet) return [];
+      const probability = firstSetLoserProbability(
+        event.game,
+        decision.selectionId
+      );
+      const edge =
+        probability === null
+          ? null
+          : expectedValue(
+              probability,
+              decision.underdogOdds,
+              settings.commissionRate
+            );
+      if (
+        settings.ratings?.requireEdge &&
+        !(edge !== null && edge * 100 > settings.ratings.minEdgePercent)
+      )
+        return [];
+      return [
+        {
+          marketId: event.marketId,
+          selectionId: decision.selectionId,
+          side: "BACK",
+          price: decision.underdogOdds,
+          probability: probability ?? undefined,
+          reason:
+            `first set ${decision.homeScore}-${decision.awayScore}` +
+            (edge === null ? "" : `, model edge ${(edge * 100).toFixed(1)}%`),
+        },
+      ];
+    },
+  };
+}
+
+// One test bet at a time on any in-play runner priced near testBetOdds
+function testBet(settings) {
+  const strategy = {
+    name: "testBet",
+    state: { placed: false },
+    onEvent(event) {
+      if (event.type === "bet_placed" && event.strategy === strategy.name)
+        strategy.state.placed = true;
+      if (event.type === "bet_closed" || event.type === "market_closed")
+        strategy.state.placed = false;
+      if (event.type !== "odds_update" || strategy.state.placed) return [];
+      const { game } = event;
+      const runner = [
+        { selectionId: game.selectionIdA, price: game.currentOdds.pA },
+        { selectionId: game.selectionIdB, price: game.currentOdds.pB },
+      ].find(
+        ({ price }) =>
+          price &&
+          Math.abs(price - settings.testBetOdds) <=
+            settings.testBetOddsTolerance
+      );
+      if (!runner) return [];
+      return [
+        {
+          marketId: event.marketId,
+          selectionId: runner.selectionId,
+          side: "BACK",
+          price: runner.price,
+          isTestBet: true,
+          reason: `odds ${runner.price} within ${settings.testBetOddsTolerance} of ${settings.testBetOdds}`,
+        },
+      ];
+    },
+  };
+  return strategy;
+}
+
+const builtins = { firstSetUnderdog, testBet };
+
+// A strategies entry is a built-in name or the path of a module exporting a
+// factory, resolved from the working directory
+function isModulePath(name) {
+  return /[\\/]/.test(name) || name.endsWith(".js");
+}
+
+// Create the configured strategies
+function loadStrategies(names, settings, cwd = process.cwd()) {
+  return names.map((name) => {
+    if (builtins[name]) return builtins[name](settings);
+    if (!isModulePath(name)) throw new Error(`Unknown strategy: ${name}`);
+    const factory = require(path.resolve(cwd, name));
+    const strategy = factory(settings);
+    if (!strategy || typeof strategy.onEvent !== "function")
+      throw new Error(`Strategy module ${name} did not return an onEvent()`);
+    strategy.name = strategy.name || path.basename(name, ".js");
+    strategy.state = strategy.state || {};
+    return strategy;
+  });
+}
+
+// Pass an event to every strategy and collect their intents, each tagged
+// with the strategy that asked for it. A failing strategy is reported
+// through onError and does not stop the others.
+function runStrategies(strategies, event, onError = () => {}) {
+  const intents = [];
+  strategies.forEach((strategy) => {
+    try {
+      (strategy.onEvent(event) || []).forEach((intent) =>
+        intents.push({
+          side: "BACK",
+          marketId: event.marketId,
+          ...intent,
+          strategy: strategy.name,
+        })
+      );
+    } catch (error) {
+      onError(strategy, error);
+    }
+  });
+  return intents;
+}
+
+// Strategy states by name, for saving; and the reverse on restart
+function strategyStates(strategies) {
+  return Object.fromEntries(strategies.map((s) => [s.name, s.state]));
+}
+
+function restoreStrategyStates(strategies, saved = {}) {
+  strategies.forEach((strategy) => {
+    if (saved[strategy.name])
+      Object.assign(strategy.state, saved[strategy.name]);
+  });
+}
+
+module.exports = {
+  builtins,
+  isModulePath,
+  loadStrategies,
+  runStrategies,
+  strategyStates,
+  restoreStrategyStates,
+};
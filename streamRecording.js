@@ -0,0 +1,232 @@
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const readline = require("readline");
+const { spawn } = require("child_process");
+
+// Raw stream recordings and their replay. The recorder writes every mcm/ocm
+// line the bot receives, and every market catalogue it fetches, to
+// <dir>/stream-<day>.ndjson.gz as { receivedAt, message } and
+// { receivedAt, catalogue } lines. The reader plays those files back, or
+// Betfair's historical data files (bare mcm lines, plain or .bz2, where the
+// publish time pt stands in for the receive time), merged in time order.
+
+const day = (time) => new Date(time).toISOString().slice(0, 10);
+
+// Create the recorder from the "recording" config section. A file is never
+// appended to: each run and each UTC day gets a gzip file of its own
+// (stream-<day>.1.ndjson.gz and so on), flushed every flushIntervalMs so a
+// crash loses little and leaves a readable file.
+function createStreamRecorder(
+  settings,
+  { onError = () => {}, now = () => Date.now() } = {}
+) {
+  let gzip = null;
+  let output = null;
+  let openedDay = null;
+  let flushTimer = null;
+
+  const open = (fileDay) => {
+    close();
+    fs.mkdirSync(settings.dir, { recursive: true });
+    let file = path.join(settings.dir, `stream-${fileDay}.ndjson.gz`);
+    for (let n = 1; fs.existsSync(file); n++)
+      file = path.join(settings.dir, `stream-${fileDay}.${n}.ndjson.gz`);
+    output = fs.createWriteStream(file, { flags: "wx" });
+    gzip = zlib.createGzip();
+    gzip.on("error", onError);
+    output.on("error", onError);
+    gzip.pipe(output);
+    openedDay = fileDay;
+    if (settings.flushIntervalMs) {
+      flushTimer = setInterval(() => gzip.flush(), settings.flushIntervalMs);
+      flushTimer.unref();
+    }
+  };
+
+  const write = (line, receivedAt) => {
+    try {
+      if (day(receivedAt) !== openedDay) open(day(receivedAt));
+      gzip.write(line + "\n");
+    } catch (error) {
+      onError(error);
+    }
+  };
+
+  // The raw line is embedded as it arrived, without parsing it again
+  const recordMessage = (line, receivedAt = now()) =>
+    write(`{"receivedAt":${receivedAt},"message":${line}}`, receivedAt);
+
+  const recordCatalogue = (catalogue, receivedAt = now()) =>
+    write(JSON.stringify({ receivedAt, catalogue }), receivedAt);
+
+  // Finish the current file; resolves once it is written out
+  function close() {
+    clearInterval(flushTimer);
+    flushTimer = null;
+    const closing = output
+      ? new Promise((resolve) => output.once("close", resolve))
+      : Promise.resolve();
+    if (gzip) gzip.end();
+    gzip = null;
+    output = null;
+    openedDay = null;
+    return closing;
+  }
+
+  return { recordMessage, recordCatalogue, close };
+}
+
+// Every file under the given files and directories, in name order
+function recordingFiles(paths) {
+  return paths.flatMap((file) => {
+    if (!fs.statSync(file).isDirectory()) return [file];
+    return recordingFiles(
+      fs
+        .readdirSync(file)
+        .sort()
+        .map((entry) => path.join(file, entry))
+    );
+  });
+}
+
+// Decompressed lines of one file: .gz through zlib, .bz2 through the bzip2
+// command, anything else as plain text
+async function* fileLines(file) {
+  let input = fs.createReadStream(file);
+  let child = null;
+  const failures = [];
+  if (file.endsWith(".gz")) {
+    // A recording cut short by a crash ends without the gzip trailer
+    const gunzip = zlib.createGunzip({
+      finishFlush: zlib.constants.Z_SYNC_FLUSH,
+    });
+    input.on("error", (error) => gunzip.destroy(error));
+    input = input.pipe(gunzip);
+  } else if (file.endsWith(".bz2")) {
+    input.destroy();
+    child = spawn("bzip2", ["-dc", file], {
+      stdio: ["ignore", "pipe", "pipe"],
+    });
+    let stderr = "";
+    child.stderr.on("data", (data) => (stderr += data));
+    child.on("error", (error) => failures.push(error));
+    child.on("close", (code) => {
+      if (code)
+        failures.push(new Error(`bzip2 exited with ${code}: ${stderr}`));
+    });
+    input = child.stdout;
+  }
+  input.on("error", (error) => failures.push(error));
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  let finished = false;
+  try {
+    for await (const line of lines) yield line;
+    finished = true;
+  } finally {
+    // Left before the end: close the file and stop bzip2
+    if (!finished) {
+      input.destroy();
+      if (child) child.kill();
+    }
+  }
+  if (child && child.exitCode === null && failures.length === 0)
+    await new Promise((resolve) => child.once("close", resolve));
+  if (failures.length > 0)
+    throw new Error(`Failed to read ${file}: ${failures[0].message}`);
+}
+
+// Records of one file; lines that aren't JSON are counted and skipped
+async function* fileRecords(file, onSkip) {
+  for await (const line of fileLines(file)) {
+    if (!line.trim()) continue;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      onSkip(file, line);
+      continue;
+    }
+    if (entry.message || entry.catalogue) yield entry;
+    else if (entry.op && entry.pt)
+      yield { receivedAt: entry.pt, message: entry };
+    else onSkip(file, line);
+  }
+}
+
+// Receive time of a file's first record, or null when it has none; only
+// the start of the file is read
+async function firstRecordTime(file) {
+  const records = fileRecords(file, () => {});
+  const first = await records.next();
+  await records.return();
+  return first.done ? null : first.value.receivedAt;
+}
+
+// The source whose next record was received first
+const earliest = (sources) =>
+  sources.reduce((earliest, candidate) =>
+    candidate.next.value.receivedAt < earliest.next.value.receivedAt
+      ? candidate
+      : earliest
+  );
+
+// Records of every file merged by receive time. Betfair's historical data
+// has one file per market, so a month of it is thousands of files: each is
+// opened only once the merge reaches its first record and closed when read
+// to the end, leaving only the markets that overlap in time open at once.
+async function* readRecords(paths, { onSkip = () => {} } = {}) {
+  const pending = [];
+  for (const file of recordingFiles(paths)) {
+    const start = await firstRecordTime(file);
+    if (start !== null) pending.push({ file, start });
+  }
+  // Array.prototype.sort is stable, so files starting together keep name order
+  pending.sort((a, b) => a.start - b.start);
+  let active = [];
+  while (pending.length > 0 || active.length > 0) {
+    while (
+      pending.length > 0 &&
+      (active.length === 0 ||
+        pending[0].start <= earliest(active).next.value.receivedAt)
+    ) {
+      const records = fileRecords(pending.shift().file, onSkip);
+      const next = await records.next();
+      if (!next.done) active.push({ records, next });
+    }
+    if (active.length === 0) continue;
+    const source = earliest(active);
+    yield source.next.value;
+    source.next = await source.records.next();
+    if (source.next.done)
+      active = active.filter((candidate) => candidate !== source);
+  }
+}
+
+// A catalogue entry for a market from its stream market definition, or null
+// when it isn't a tennis match odds market. Betfair's historical data names
+// the event and runners there; live definitions leave the names out.
+function catalogueEntry(marketId, definition) {
+  if (definition.eventTypeId && definition.eventTypeId !== "2") return null;
+  if (definition.marketType && definition.marketType !== "MATCH_ODDS")
+    return null;
+  return {
+    marketId,
+    marketStartTime: definition.marketTime,
+    event: {
+      id: definition.eventId,
+      name: definition.eventName,
+      openDate: definition.openDate,
+    },
+    runners: [...(definition.runners || [])]
+      .sort((a, b) => (a.sortPriority || 0) - (b.sortPriority || 0))
+      .map((runner) => ({ selectionId: runner.id, runnerName: runner.name })),
+  };
+}
+
+module.exports = {
+  createStreamRecorder,
+  recordingFiles,
+  readRecords,
+  catalogueEntry,
+};
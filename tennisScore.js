@@ -0,0 +1,255 @@
+// Tennis match state built from the stream's marketDefinition.score.
+// "home" is the first runner (player A) and "away" the second (player B).
+
+const pointOrder = ["0", "15", "30", "40", "AD"];
+
+function other(side) {
+  return side === "home" ? "away" : "home";
+}
+
+function toNumber(value) {
+  const number = Number(value);
+  return isNaN(number) ? 0 : number;
+}
+
+// Normalize the score payload: the sets[] shape with homeScore/awayScore,
+// plus optional points, server, tiebreak and retirement fields, or the
+// home/away shape used by Betfair's scores feed
+function normalizeScore(raw) {
+  if (raw.home && raw.away) {
+    const homeSets = raw.home.gameSequence || [];
+    const awaySets = raw.away.gameSequence || [];
+    const sets = homeSets.map((home, i) => ({
+      home: toNumber(home),
+      away: toNumber(awaySets[i]),
+      completed: true,
+    }));
+    sets.push({
+      home: toNumber(raw.home.games),
+      away: toNumber(raw.away.games),
+      completed: false,
+    });
+    return {
+      sets,
+      points: {
+        home: `${raw.home.score ?? "0"}`,
+        away: `${raw.away.score ?? "0"}`,
+      },
+      server: raw.home.isServing ? "home" : raw.away.isServing ? "away" : null,
+      retired: raw.home.retired ? "home" : raw.away.retired ? "away" : null,
+    };
+  }
+  const sets = (raw.sets || []).map((set) => ({
+    home: toNumber(set.homeScore),
+    away: toNumber(set.awayScore),
+    completed: !!set.completed,
+    tiebreakPoints:
+      set.homeTiebreak !== undefined || set.awayTiebreak !== undefined
+        ? { home: toNumber(set.homeTiebreak), away: toNumber(set.awayTiebreak) }
+        : null,
+  }));
+  const points = raw.points || {
+    home: raw.homePoints,
+    away: raw.awayPoints,
+  };
+  let server = raw.server || raw.serving || null;
+  if (server === "A" || server === 1) server = "home";
+  if (server === "B" || server === 2) server = "away";
+  let retired = raw.retired || null;
+  if (!retired && /retire/i.test(raw.status || ""))
+    retired = raw.retiredSide || "unknown";
+  return {
+    sets,
+    points: { home: `${points.home ?? "0"}`, away: `${points.away ?? "0"}` },
+    server: server === "home" || server === "away" ? server : null,
+    retired,
+  };
+}
+
+// Fresh state for a match that has not started
+function createMatchState() {
+  return {
+    initialized: false,
+    sets: [],
+    points: { home: "0", away: "0" },
+    server: null,
+    inTiebreak: false,
+    setsWon: { home: 0, away: 0 },
+    breaks: [],
+    breakPoints: [],
+    currentGameBreakPoint: false,
+    lastGame: null,
+    retired: null,
+    firstSet: null,
+  };
+}
+
+// The receiver has a break point when one point from winning the game
+function hasBreakPoint(points, server) {
+  if (!server) return false;
+  const receiver = other(server);
+  const serverPoints = pointOrder.indexOf(points[server]);
+  const receiverPoints = pointOrder.indexOf(points[receiver]);
+  if (receiverPoints === 4) return true;
+  return receiverPoints === 3 && serverPoints < 3;
+}
+
+// Merge a new score into the state; returns the list of changes it implied
+function updateMatchState(state, raw) {
+  const score = normalizeScore(raw);
+  const changes = [];
+  const setIndex = Math.max(score.sets.length - 1, 0);
+
+  // The first score seen may be mid-match: take it as the starting point
+  // rather than replaying games whose server is unknown
+  if (!state.initialized) {
+    state.initialized = true;
+    state.sets = score.sets.map((set) => ({ ...set }));
+    state.points = score.points;
+    state.server = score.server;
+    score.sets
+      .filter((set) => set.completed)
+      .forEach((set, i) => {
+        const winner = set.home > set.away ? "home" : "away";
+        state.setsWon[winner]++;
+        if (i === 0)
+          state.firstSet = {
+            set: 1,
+            home: set.home,
+            away: set.away,
+            winner,
+            tiebreak: Math.min(set.home, set.away) === 6,
+          };
+      });
+    changes.push({
+      change: "initial",
+      sets: score.sets.map((set) => `${set.home}-${set.away}`),
+      points: `${score.points.home}-${score.points.away}`,
+      server: score.server,
+    });
+    return changes;
+  }
+
+  // Games won since the last update, in the set they were played in
+  score.sets.forEach((set, i) => {
+    const previous = state.sets[i] || { home: 0, away: 0, completed: false };
+    let played = previous.home + previous.away;
+    ["home", "away"].forEach((side) => {
+      const won = set[side] - previous[side];
+      for (let g = 0; g < won; g++) {
+        const server = state.server;
+        // The last game of a 7-6 set is its tiebreak, which nobody breaks
+        const isTiebreakGame =
+          set.completed &&
+          set[side] === 7 &&
+          set[other(side)] === 6 &&
+          g === won - 1;
+        const isBreak = !!server && !isTiebreakGame && side !== server;
+        const game = {
+          set: i + 1,
+          game: ++played,
+          winner: side,
+          server,
+          isBreak,
+          hadBreakPoint: state.currentGameBreakPoint,
+        };
+        state.lastGame = game;
+        state.currentGameBreakPoint = false;
+        // Service alternates every game; the feed corrects it if it says so
+        if (server) state.server = other(server);
+        if (isBreak)
+          state.breaks.push({ set: game.set, game: game.game, breaker: side });
+        changes.push({ change: "game_won", ...game });
+      }
+    });
+    const isTiebreak =
+      (set.home === 7 && set.away === 6) || (set.home === 6 && set.away === 7);
+    if (set.completed && !previous.completed) {
+      const winner = set.home > set.away ? "home" : "away";
+      state.setsWon[winner]++;
+      const completed = {
+        set: i + 1,
+        home: set.home,
+        away: set.away,
+        winner,
+        tiebreak: isTiebreak,
+      };
+      if (i === 0) state.firstSet = completed;
+      changes.push({ change: "set_completed", ...completed });
+    }
+  });
+  state.sets = score.sets.map((set) => ({
+    ...set,
+    tiebreak:
+      set.completed &&
+      ((set.home === 7 && set.away === 6) ||
+        (set.home === 6 && set.away === 7)),
+  }));
+
+  const current = score.sets[setIndex];
+  const inTiebreak =
+    !!current && !current.completed && current.home === 6 && current.away === 6;
+  if (inTiebreak && !state.inTiebreak)
+    changes.push({ change: "tiebreak_started", set: setIndex + 1 });
+  state.inTiebreak = inTiebreak;
+
+  if (score.server && score.server !== state.server) {
+    state.server = score.server;
+    changes.push({ change: "server", server: score.server });
+  }
+
+  if (
+    score.points.home !== state.points.home ||
+    score.points.away !== state.points.away
+  ) {
+    state.points = score.points;
+    if (!inTiebreak && hasBreakPoint(score.points, state.server)) {
+      state.currentGameBreakPoint = true;
+      const breakPoint = {
+        set: setIndex + 1,
+        game: current ? current.home + current.away + 1 : 1,
+        receiver: other(state.server),
+        points: `${score.points.home}-${score.points.away}`,
+      };
+      state.breakPoints.push(breakPoint);
+      changes.push({ change: "break_point", ...breakPoint });
+    }
+  }
+
+  if (score.retired && !state.retired) {
+    state.retired = score.retired;
+    changes.push({ change: "retirement", side: score.retired });
+  }
+  return changes;
+}
+
+// Conditions the entry rules can use once the first set is over, seen from
+// the side that lost it
+function firstSetConditions(state) {
+  if (!state?.firstSet)
+    return {
+      firstSetTiebreak: false,
+      breakPointInLastGame: false,
+      breaksAgainstLoser: 0,
+    };
+  const loser = other(state.firstSet.winner);
+  const lastGame = state.lastGame;
+  return {
+    firstSetTiebreak: state.firstSet.tiebreak,
+    breakPointInLastGame:
+      !!lastGame &&
+      lastGame.set === 1 &&
+      lastGame.hadBreakPoint &&
+      lastGame.server !== loser,
+    breaksAgainstLoser: state.breaks.filter(
+      (b) => b.set === 1 && b.breaker !== loser
+    ).length,
+  };
+}
+
+module.exports = {
+  normalizeScore,
+  createMatchState,
+  updateMatchState,
+  firstSetConditions,
+};
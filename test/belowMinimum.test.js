@@ -0,0 +1,41 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startMockExchange } = require("../mockExchange");
+const { runLiveBot } = require("./liveBot");
+
+// With impossible odds the default scenario's stake is 0.05, under the
+// mock's minimum of 1: the bot places 1 at 1000, cancels 0.95 of it and
+// moves the remaining 0.05 to the real price
+test("a stake under the minimum is placed at 1000, reduced and replaced", async () => {
+  const mock = await startMockExchange({ quiet: true });
+  try {
+    const { entries } = await runLiveBot(mock, {
+      env: { BOT_USE_IMPOSSIBLE_ODDS: "true" },
+      done: (entries) => entries.some((e) => e.type === "bet_placed"),
+    });
+    const [initial, replacement, ...others] = Object.values(mock.orders);
+    assert.equal(others.length, 0);
+
+    assert.equal(initial.price, 1000);
+    assert.equal(initial.size, 1);
+    assert.equal(initial.sizeMatched, 0);
+    // 0.95 by the bot's cancel, the last 0.05 by the replace
+    assert.equal(initial.sizeCancelled, 1);
+    assert.equal(initial.sizeRemaining, 0);
+
+    assert.equal(replacement.selectionId, 102);
+    assert.equal(replacement.price, 3.1);
+    assert.equal(replacement.size, 0.05);
+
+    const belowMinimum = entries.find((e) => e.type === "below_minimum_placed");
+    assert.equal(belowMinimum.initialBetId, initial.betId);
+    assert.equal(belowMinimum.betId, replacement.betId);
+
+    const placed = entries.find((e) => e.type === "bet_placed");
+    assert.equal(placed.betId, replacement.betId);
+    assert.equal(placed.size, 0.05);
+    assert.equal(placed.belowMinimum, true);
+  } finally {
+    await mock.close();
+  }
+});
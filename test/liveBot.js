@@ -0,0 +1,79 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawn } = require("child_process");
+
+// Run bot.js in live mode against a started mock exchange, in a scratch
+// directory, until the entries it writes to games/<eventId>.ndjson satisfy
+// done(entries). Resolves to those entries and the mock's orders; rejects
+// if the bot exits first or timeoutMs passes.
+function runLiveBot(
+  mock,
+  { eventId = "900", env = {}, done, timeoutMs = 30000 }
+) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "underdog-bot-"));
+  const gamesFile = path.join(dir, "games", `${eventId}.ndjson`);
+  const bot = spawn(process.execPath, [path.join(__dirname, "..", "bot.js")], {
+    cwd: dir,
+    env: {
+      PATH: process.env.PATH,
+      LOGIN_APP_KEY: "test-login-key",
+      STREAM_APP_KEY: "test-stream-key",
+      betfairUsername: "test-user",
+      password: "test-password",
+      BOT_ENABLE_SIMULATION: "false",
+      BOT_TEST_BET_ENABLED: "false",
+      BOT_USE_IMPOSSIBLE_ODDS: "false",
+      ...mock.env,
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  let output = "";
+  bot.stdout.on("data", (data) => (output += data));
+  bot.stderr.on("data", (data) => (output += data));
+
+  const readEntries = () =>
+    fs.existsSync(gamesFile)
+      ? fs
+          .readFileSync(gamesFile, "utf8")
+          .split("\n")
+          .filter(Boolean)
+          .map((line) => JSON.parse(line))
+      : [];
+
+  return new Promise((resolve, reject) => {
+    const finish = (error, result) => {
+      clearInterval(poll);
+      clearTimeout(timeout);
+      bot.removeAllListeners("exit");
+      bot.once("exit", () => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        if (error) reject(error);
+        else resolve(result);
+      });
+      if (bot.exitCode === null && bot.signalCode === null) bot.kill();
+      else bot.emit("exit");
+    };
+    const poll = setInterval(() => {
+      const entries = readEntries();
+      if (done(entries)) finish(null, { entries, output });
+    }, 200);
+    const timeout = setTimeout(
+      () =>
+        finish(
+          new Error(
+            `Bot did not finish in ${timeoutMs}ms. Entries: ${JSON.stringify(
+              readEntries()
+            )}\n${output}`
+          )
+        ),
+      timeoutMs
+    );
+    bot.once("exit", (code) =>
+      finish(new Error(`Bot exited with ${code} before finishing\n${output}`))
+    );
+  });
+}
+
+module.exports = { runLiveBot };
@@ -0,0 +1,43 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startMockExchange } = require("../mockExchange");
+const { runLiveBot } = require("./liveBot");
+
+// The default scenario: Player B loses the first set 6-4 at 3.1, the bot
+// backs B for 10% of its 100 balance, the order matches and B wins
+test("a live bet is placed, matched and settled from cleared orders", async () => {
+  const mock = await startMockExchange({ quiet: true });
+  try {
+    const { entries } = await runLiveBot(mock, {
+      done: (entries) => entries.some((e) => e.type === "bet_outcome"),
+    });
+    const entry = (type) => entries.find((e) => e.type === type);
+
+    const placed = entry("bet_placed");
+    assert.equal(placed.mode, "live");
+    assert.equal(placed.marketId, "1.100");
+    assert.equal(placed.selectionId, 102);
+    assert.equal(placed.size, 10);
+    assert.equal(placed.price, 3.1);
+    assert.ok(mock.orders[placed.betId], "the mock received the order");
+
+    const matched = entry("bet_matched");
+    assert.equal(matched.size, 10);
+    assert.equal(matched.price, 3.1);
+    assert.equal(matched.partial, false);
+
+    // 10 at 3.1 wins 21, less 5% commission
+    const outcome = entry("bet_outcome");
+    assert.equal(outcome.mode, "live");
+    assert.equal(outcome.outcome, "win");
+    assert.deepEqual(outcome.betIds, [placed.betId]);
+    assert.equal(outcome.size, 10);
+    assert.equal(outcome.averagePrice, 3.1);
+    assert.ok(Math.abs(outcome.profit - 21) < 1e-9);
+    assert.ok(Math.abs(outcome.commission - 1.05) < 1e-9);
+    assert.ok(Math.abs(outcome.pnl - 19.95) < 1e-9);
+    assert.ok(Math.abs(outcome.balance - 119.95) < 1e-9);
+  } finally {
+    await mock.close();
+  }
+});
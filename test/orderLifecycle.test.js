@@ -0,0 +1,139 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { defaultScenario, startMockExchange } = require("../mockExchange");
+const { runLiveBot } = require("./liveBot");
+
+// The default scenario up to the end of the first set, when the bot backs
+// Player B for 10 at 3.1, followed by steps. The mock matches nothing on its
+// own, so the order stays unmatched until a step matches it.
+function afterFirstSet(...steps) {
+  const end = defaultScenario.steps.findIndex((step) =>
+    step.score?.sets.some((set) => set.completed)
+  );
+  return {
+    markets: defaultScenario.markets,
+    steps: [...defaultScenario.steps.slice(0, end + 1), ...steps],
+  };
+}
+
+// Run the bot against a mock playing scenario until done(entries)
+async function run(scenario, options) {
+  const mock = await startMockExchange({ quiet: true, scenario });
+  try {
+    const { entries } = await runLiveBot(mock, options);
+    const entry = (type) => entries.find((e) => e.type === type);
+    return { entries, entry, orders: Object.values(mock.orders) };
+  } finally {
+    await mock.close();
+  }
+}
+
+const close = { close: { marketId: "1.100", winner: 102 } };
+const has = (type) => (entries) => entries.some((e) => e.type === type);
+
+test("an order the price moves away from is chased with replaceOrders", async () => {
+  const { entry, orders } = await run(
+    afterFirstSet(
+      { after: 500, odds: { marketId: "1.100", 101: 1.45, 102: 3 } },
+      { after: 2500, matchOrders: "1.100" },
+      { after: 1000, ...close }
+    ),
+    {
+      env: {
+        BOT_ORDERS_UNMATCHED_ACTION: "chase",
+        BOT_ORDERS_CHASE_TICKS: "2",
+        BOT_ORDERS_UNMATCHED_TIMEOUT_MS: "0",
+      },
+      done: has("bet_outcome"),
+    }
+  );
+  const [original, chased, ...others] = orders;
+  assert.equal(others.length, 0);
+  assert.equal(original.price, 3.1);
+  assert.equal(original.sizeCancelled, 10);
+  assert.equal(original.sizeMatched, 0);
+  assert.equal(chased.price, 3);
+  assert.equal(chased.sizeMatched, 10);
+
+  const replaced = entry("order_replaced");
+  assert.equal(replaced.betId, original.betId);
+  assert.equal(replaced.newBetId, chased.betId);
+  assert.equal(replaced.oldPrice, 3.1);
+  assert.equal(replaced.newPrice, 3);
+  assert.equal(replaced.reason, "price_moved");
+
+  assert.equal(entry("bet_matched").price, 3);
+  assert.equal(entry("bet_matched").size, 10);
+  // 10 at 3 wins 20, less 5% commission
+  const outcome = entry("bet_outcome");
+  assert.deepEqual(outcome.betIds, [chased.betId]);
+  assert.ok(Math.abs(outcome.pnl - 19) < 1e-9);
+});
+
+test("an order still unmatched at the timeout is cancelled", async () => {
+  const { entries, entry, orders } = await run(
+    afterFirstSet({ after: 5000, ...close }),
+    {
+      env: { BOT_ORDERS_UNMATCHED_TIMEOUT_MS: "1000" },
+      done: has("bet_cancelled"),
+    }
+  );
+  const [order, ...others] = orders;
+  assert.equal(others.length, 0);
+  assert.equal(order.sizeCancelled, 10);
+  assert.equal(order.sizeMatched, 0);
+
+  const cancelled = entry("order_cancelled");
+  assert.equal(cancelled.betId, order.betId);
+  assert.equal(cancelled.sizeCancelled, 10);
+  assert.equal(cancelled.reason, "timeout");
+  const released = entry("bet_cancelled");
+  assert.equal(released.betId, order.betId);
+  assert.equal(released.lapsed, false);
+  assert.ok(!entries.some((e) => e.type === "bet_matched"));
+});
+
+test("an order left unmatched when the market closes lapses", async () => {
+  const { entries, entry, orders } = await run(
+    afterFirstSet({ after: 1000, ...close }),
+    {
+      done: (entries) =>
+        has("bet_cancelled")(entries) && has("market_closed")(entries),
+    }
+  );
+  const [order, ...others] = orders;
+  assert.equal(others.length, 0);
+  assert.equal(order.sizeLapsed, 10);
+  assert.equal(order.sizeMatched, 0);
+
+  const released = entry("bet_cancelled");
+  assert.equal(released.betId, order.betId);
+  assert.equal(released.lapsed, true);
+  assert.ok(!entries.some((e) => e.type === "bet_matched"));
+  assert.ok(!entries.some((e) => e.type === "bet_outcome"));
+});
+
+test("matches over several order deltas settle only what matched", async () => {
+  const { entry, orders } = await run(
+    afterFirstSet(
+      { after: 500, matchOrders: { marketId: "1.100", size: 4 } },
+      { after: 500, matchOrders: { marketId: "1.100", size: 3 } },
+      { after: 500, ...close }
+    ),
+    { done: has("bet_outcome") }
+  );
+  const [order, ...others] = orders;
+  assert.equal(others.length, 0);
+  assert.equal(order.sizeMatched, 7);
+  assert.equal(order.sizeLapsed, 3);
+
+  const matched = entry("bet_matched");
+  assert.equal(matched.size, 7);
+  assert.equal(matched.requestedSize, 10);
+  assert.equal(matched.partial, true);
+  // 7 at 3.1 wins 14.70, less 5% commission charged in whole cents
+  const outcome = entry("bet_outcome");
+  assert.equal(outcome.size, 7);
+  assert.equal(outcome.commission, 0.74);
+  assert.ok(Math.abs(outcome.pnl - 13.96) < 1e-9);
+});
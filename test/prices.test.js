@@ -0,0 +1,76 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  isValidPrice,
+  snapPrice,
+  addTicks,
+  ticksBetween,
+  roundStake,
+} = require("../prices");
+
+test("a price on a band boundary belongs to the lower band", () => {
+  assert.equal(addTicks(2, 1), 2.02);
+  assert.equal(addTicks(2, -1), 1.99);
+  assert.equal(addTicks(3, 1), 3.05);
+  assert.equal(addTicks(3, -1), 2.98);
+  assert.equal(addTicks(100, 1), 110);
+  assert.equal(addTicks(100, -1), 95);
+});
+
+test("prices are clamped to 1.01 and 1000", () => {
+  assert.equal(snapPrice(1), 1.01);
+  assert.equal(snapPrice(1, "up"), 1.01);
+  assert.equal(snapPrice(5000, "up"), 1000);
+  assert.equal(addTicks(1000, 1), 1000);
+  assert.equal(addTicks(1.01, -1), 1.01);
+  assert.equal(addTicks(990, 5), 1000);
+  assert.throws(() => snapPrice(0), /Invalid price/);
+  assert.throws(() => snapPrice(NaN), /Invalid price/);
+});
+
+test("snapPrice rounds down, up or to the nearest tick", () => {
+  assert.equal(snapPrice(2.03), 2.02);
+  assert.equal(snapPrice(2.03, "up"), 2.04);
+  assert.equal(snapPrice(2.03, "nearest"), 2.02);
+  assert.equal(snapPrice(3.07, "nearest"), 3.05);
+  assert.equal(snapPrice(3.08, "nearest"), 3.1);
+  assert.equal(snapPrice(3.31, "down"), 3.3);
+  assert.equal(snapPrice(3.31, "up"), 3.35);
+  assert.equal(snapPrice(3.1, "up"), 3.1);
+});
+
+test("floating-point noise does not move a price off its tick", () => {
+  // 1.3000000000000003, 3.3000000000000003 and 1.7999999999999998
+  assert.equal(snapPrice(0.1 + 0.2 + 1, "up"), 1.3);
+  assert.equal(snapPrice(1.1 * 3, "up"), 3.3);
+  assert.equal(snapPrice(0.7 + 0.1 + 1, "down"), 1.8);
+  assert.ok(isValidPrice(1.1 * 3));
+  assert.equal(addTicks(1.1 * 3, 1), 3.35);
+});
+
+test("isValidPrice accepts only ladder prices", () => {
+  assert.ok(isValidPrice(1.01));
+  assert.ok(isValidPrice(2.02));
+  assert.ok(isValidPrice(1000));
+  assert.ok(!isValidPrice(1));
+  assert.ok(!isValidPrice(2.01));
+  assert.ok(!isValidPrice(3.02));
+  assert.ok(!isValidPrice(1.015));
+  assert.ok(!isValidPrice(1010));
+});
+
+test("ticksBetween counts ticks across bands", () => {
+  assert.equal(ticksBetween(1.01, 1000), 349);
+  assert.equal(ticksBetween(1000, 1.01), -349);
+  assert.equal(ticksBetween(2, 3), 50);
+  assert.equal(ticksBetween(1.99, 2.02), 2);
+  assert.equal(ticksBetween(3.1, 3.1), 0);
+});
+
+test("roundStake rounds to whole cents", () => {
+  assert.equal(roundStake(10), 10);
+  assert.equal(roundStake(0.1 + 0.2), 0.3);
+  assert.equal(roundStake(1.005), 1.01);
+  assert.equal(roundStake(1 - 0.05), 0.95);
+  assert.equal(roundStake(2.344), 2.34);
+});